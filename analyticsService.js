@@ -0,0 +1,315 @@
+const DAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PERIOD_DAYS = 28;
+const MAX_PERIOD_DAYS = 366;
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const newBucket = () => ({
+  blocks: 0,
+  filled: 0,
+  claimMinutes: [],
+  checkIns: 0,
+  lateCheckIns: 0,
+  noShows: 0,
+  cancellations: {},
+  completedShifts: 0,
+  completedHours: 0,
+  completedCost: 0
+});
+
+const finalizeBucket = (bucket) => ({
+  blocks: bucket.blocks,
+  filled: bucket.filled,
+  fillRate: bucket.blocks > 0 ? round(bucket.filled / bucket.blocks * 100, 1) : null,
+  medianMinutesToClaim: bucket.claimMinutes.length > 0 ? round(median(bucket.claimMinutes), 1) : null,
+  checkIns: bucket.checkIns,
+  lateCheckIns: bucket.lateCheckIns,
+  noShows: bucket.noShows,
+  cancellations: bucket.cancellations,
+  completedShifts: bucket.completedShifts,
+  completedHours: round(bucket.completedHours),
+  completedCost: round(bucket.completedCost),
+  costPerCompletedHour: bucket.completedHours > 0 ? round(bucket.completedCost / bucket.completedHours) : null
+});
+
+class AnalyticsService {
+  constructor(dbPool, blockService) {
+    this.dbPool = dbPool;
+    this.blockService = blockService;
+  }
+
+  // Defaults to the last four weeks. Returns { startDate, endDate } or { error }.
+  resolvePeriod(startDate, endDate) {
+    const today = new Date().toISOString().split('T')[0];
+    const end = endDate || today;
+    const start = startDate || new Date(Date.parse(end) - (DEFAULT_PERIOD_DAYS - 1) * 86400000).toISOString().split('T')[0];
+
+    if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end)) {
+      return { error: 'startDate and endDate must be YYYY-MM-DD dates' };
+    }
+    if (end < start) {
+      return { error: 'endDate must not be before startDate' };
+    }
+    if ((Date.parse(end) - Date.parse(start)) / 86400000 >= MAX_PERIOD_DAYS) {
+      return { error: `Period cannot exceed ${MAX_PERIOD_DAYS} days` };
+    }
+    return { startDate: start, endDate: end };
+  }
+
+  // Fill rate, time to claim, late check-ins, cancellations and cost per completed
+  // hour for blocks that have already started, bucketed by store-local day of week
+  // and start hour. A block counts as filled if it was ever claimed.
+  async getBlockAnalytics(locationIds, startDate, endDate) {
+    const lateGraceMinutes = parseInt(process.env.LATE_CHECK_IN_GRACE_MINUTES) || 5;
+
+    const blocksResult = await this.dbPool.query(`
+      SELECT
+        b.block_id,
+        b.location_id,
+        b.start_time,
+        b.end_time,
+        b.amount,
+        b.created_at,
+        l.time_zone_code,
+        fc.first_claim_time,
+        lc.service_status,
+        lc.cancellation_type,
+        lc.check_in_time,
+        lc.check_out_time
+      FROM blocks b
+      JOIN locations l ON b.location_id = l.location_id
+      LEFT JOIN LATERAL (
+        SELECT MIN(claim_time) as first_claim_time FROM block_claims WHERE block_id = b.block_id
+      ) fc ON true
+      LEFT JOIN LATERAL (
+        SELECT service_status, cancellation_type, check_in_time, check_out_time
+        FROM block_claims
+        WHERE block_id = b.block_id
+        ORDER BY claim_time DESC
+        LIMIT 1
+      ) lc ON true
+      WHERE b.location_id = ANY($1::int[])
+        AND b.date BETWEEN $2::date AND $3::date
+        AND b.start_time < NOW()
+        AND COALESCE(b.status, '') <> 'cancelled'
+    `, [locationIds, startDate, endDate]);
+
+    // Every cancelled claim counts, including ones on blocks that were cancelled outright
+    const cancellationsResult = await this.dbPool.query(`
+      SELECT b.location_id, b.start_time, l.time_zone_code, bc.cancellation_type
+      FROM block_claims bc
+      JOIN blocks b ON bc.block_id = b.block_id
+      JOIN locations l ON b.location_id = l.location_id
+      WHERE b.location_id = ANY($1::int[])
+        AND b.date BETWEEN $2::date AND $3::date
+        AND bc.cancellation_type IS NOT NULL
+    `, [locationIds, startDate, endDate]);
+
+    const summary = newBucket();
+    const byDayOfWeek = DAY_LABELS.map(() => newBucket());
+    const byHour = Array.from({ length: 24 }, () => newBucket());
+    const byLocation = new Map(locationIds.map(id => [parseInt(id), newBucket()]));
+
+    const localStart = (row) => {
+      const offsetMinutes = this.blockService.parseTimezoneOffset(row.time_zone_code);
+      return new Date(new Date(row.start_time).getTime() + offsetMinutes * 60000);
+    };
+
+    const bucketsFor = (row) => {
+      const local = localStart(row);
+      return [summary, byDayOfWeek[local.getUTCDay()], byHour[local.getUTCHours()], byLocation.get(row.location_id)]
+        .filter(Boolean);
+    };
+
+    blocksResult.rows.forEach(row => {
+      const startTime = new Date(row.start_time);
+      const claimMinutes = row.first_claim_time && row.created_at
+        ? Math.max((new Date(row.first_claim_time) - new Date(row.created_at)) / 60000, 0)
+        : null;
+      const isLate = row.check_in_time &&
+        new Date(row.check_in_time) > new Date(startTime.getTime() + lateGraceMinutes * 60000);
+      const isComplete = row.service_status === 'complete';
+      const hours = isComplete
+        ? Math.max((new Date(row.check_out_time || row.end_time) - new Date(row.check_in_time || row.start_time)) / 3600000, 0)
+        : 0;
+
+      bucketsFor(row).forEach(bucket => {
+        bucket.blocks++;
+        if (row.first_claim_time) bucket.filled++;
+        if (claimMinutes !== null) bucket.claimMinutes.push(claimMinutes);
+        if (row.check_in_time) bucket.checkIns++;
+        if (isLate) bucket.lateCheckIns++;
+        if (row.service_status === 'no_show') bucket.noShows++;
+        if (isComplete) {
+          bucket.completedShifts++;
+          bucket.completedHours += hours;
+          bucket.completedCost += parseFloat(row.amount) || 0;
+        }
+      });
+    });
+
+    cancellationsResult.rows.forEach(row => {
+      bucketsFor(row).forEach(bucket => {
+        bucket.cancellations[row.cancellation_type] = (bucket.cancellations[row.cancellation_type] || 0) + 1;
+      });
+    });
+
+    return {
+      lateCheckInGraceMinutes: lateGraceMinutes,
+      summary: finalizeBucket(summary),
+      byDayOfWeek: byDayOfWeek.map((bucket, dayOfWeek) => ({
+        dayOfWeek,
+        label: DAY_LABELS[dayOfWeek],
+        ...finalizeBucket(bucket)
+      })),
+      byHour: byHour.map((bucket, hour) => ({ hour, ...finalizeBucket(bucket) })),
+      byLocation: Array.from(byLocation.entries()).map(([locationId, bucket]) => ({
+        locationId,
+        ...finalizeBucket(bucket)
+      }))
+    };
+  }
+
+  // Checklist compliance, incidents and block spend per store, with totals and a
+  // per-area breakdown. `locations` are rows with location_id, store_id, city and area_id.
+  async getOrgRollup(locations, startDate, endDate) {
+    const storeIds = locations.map(location => String(location.store_id));
+
+    const [complianceResult, incidentsResult, blockAnalytics] = await Promise.all([
+      this.dbPool.query(`
+        SELECT
+          store_id::text as store_id,
+          AVG(compliance_percentage) as average_compliance,
+          COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_checklists,
+          COUNT(CASE WHEN status = 'missed' THEN 1 END) as missed_checklists,
+          COUNT(*) as total_checklists
+        FROM store_workflows
+        WHERE store_id::text = ANY($1::text[])
+          AND date BETWEEN $2::date AND $3::date
+        GROUP BY store_id
+      `, [storeIds, startDate, endDate]),
+      this.dbPool.query(`
+        SELECT
+          store_id::text as store_id,
+          COUNT(*) as total_incidents,
+          COUNT(CASE WHEN status IN ('open', 'in_progress') THEN 1 END) as open_incidents,
+          COUNT(CASE WHEN escalation_required = true AND status <> 'closed' THEN 1 END) as open_escalated_incidents,
+          COUNT(CASE WHEN injury_reported = true THEN 1 END) as injury_incidents
+        FROM incidents
+        WHERE store_id::text = ANY($1::text[])
+          AND COALESCE(status, '') <> 'deleted'
+          AND incident_date BETWEEN $2::date AND $3::date
+        GROUP BY store_id
+      `, [storeIds, startDate, endDate]),
+      this.getBlockAnalytics(locations.map(location => location.location_id), startDate, endDate)
+    ]);
+
+    const compliance = new Map(complianceResult.rows.map(row => [row.store_id, row]));
+    const incidents = new Map(incidentsResult.rows.map(row => [row.store_id, row]));
+    const blocks = new Map(blockAnalytics.byLocation.map(entry => [entry.locationId, entry]));
+
+    const newTotals = () => ({
+      stores: 0,
+      checklists: 0,
+      completedChecklists: 0,
+      missedChecklists: 0,
+      compliancePoints: 0,
+      incidents: 0,
+      openIncidents: 0,
+      openEscalatedIncidents: 0,
+      injuryIncidents: 0,
+      blocks: 0,
+      filledBlocks: 0,
+      completedShifts: 0,
+      blockSpend: 0
+    });
+
+    const addTo = (totals, store) => {
+      totals.stores++;
+      totals.checklists += store.compliance.totalChecklists;
+      totals.completedChecklists += store.compliance.completedChecklists;
+      totals.missedChecklists += store.compliance.missedChecklists;
+      totals.compliancePoints += (store.compliance.averageCompliance || 0) * store.compliance.totalChecklists;
+      totals.incidents += store.incidents.total;
+      totals.openIncidents += store.incidents.open;
+      totals.openEscalatedIncidents += store.incidents.openEscalated;
+      totals.injuryIncidents += store.incidents.injuries;
+      totals.blocks += store.blocks.blocks;
+      totals.filledBlocks += store.blocks.filled;
+      totals.completedShifts += store.blocks.completedShifts;
+      totals.blockSpend += store.blocks.completedCost;
+    };
+
+    // Compliance is averaged over checklists, not stores
+    const finalizeTotals = ({ compliancePoints, filledBlocks, ...totals }) => ({
+      ...totals,
+      averageCompliance: totals.checklists > 0 ? round(compliancePoints / totals.checklists, 1) : null,
+      fillRate: totals.blocks > 0 ? round(filledBlocks / totals.blocks * 100, 1) : null,
+      blockSpend: round(totals.blockSpend)
+    });
+
+    const summary = newTotals();
+    const byArea = new Map();
+
+    const stores = locations.map(location => {
+      const checklistRow = compliance.get(String(location.store_id)) || {};
+      const incidentRow = incidents.get(String(location.store_id)) || {};
+      const blockEntry = blocks.get(parseInt(location.location_id)) || finalizeBucket(newBucket());
+
+      const store = {
+        storeId: location.store_id,
+        locationId: location.location_id,
+        city: location.city,
+        areaId: location.area_id || null,
+        compliance: {
+          averageCompliance: checklistRow.average_compliance !== undefined && checklistRow.average_compliance !== null
+            ? round(parseFloat(checklistRow.average_compliance), 1)
+            : null,
+          completedChecklists: parseInt(checklistRow.completed_checklists) || 0,
+          missedChecklists: parseInt(checklistRow.missed_checklists) || 0,
+          totalChecklists: parseInt(checklistRow.total_checklists) || 0
+        },
+        incidents: {
+          total: parseInt(incidentRow.total_incidents) || 0,
+          open: parseInt(incidentRow.open_incidents) || 0,
+          openEscalated: parseInt(incidentRow.open_escalated_incidents) || 0,
+          injuries: parseInt(incidentRow.injury_incidents) || 0
+        },
+        blocks: {
+          blocks: blockEntry.blocks,
+          filled: blockEntry.filled,
+          fillRate: blockEntry.fillRate,
+          completedShifts: blockEntry.completedShifts,
+          completedHours: blockEntry.completedHours,
+          completedCost: blockEntry.completedCost,
+          costPerCompletedHour: blockEntry.costPerCompletedHour
+        }
+      };
+
+      addTo(summary, store);
+      if (!byArea.has(store.areaId)) byArea.set(store.areaId, newTotals());
+      addTo(byArea.get(store.areaId), store);
+
+      return store;
+    });
+
+    return {
+      summary: finalizeTotals(summary),
+      byArea: Array.from(byArea.entries()).map(([areaId, totals]) => ({ areaId, ...finalizeTotals(totals) })),
+      stores
+    };
+  }
+}
+
+module.exports = AnalyticsService;
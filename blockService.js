@@ -0,0 +1,521 @@
+const { can } = require('./permissions');
+
+class BlockService {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+  }
+
+  // Same access rule POST /api/blocks has always used: the manager must be
+  // linked to the location's store and active. Throws with a user-facing message.
+  async verifyManagerLocation(client, managerId, locationId) {
+    const managerCheckQuery = `
+      SELECT
+        m.manager_id,
+        m.first_name,
+        m.last_name,
+        m.status,
+        m.role,
+        msl.store_id,
+        l.location_id,
+        l.time_zone_code
+      FROM managers m
+      INNER JOIN manager_store_access msl ON m.manager_id = msl.manager_id
+      INNER JOIN locations l ON msl.store_id = l.store_id
+      WHERE m.manager_id = $1 AND l.location_id = $2
+    `;
+
+    const managerResult = await client.query(managerCheckQuery, [managerId, locationId]);
+
+    if (managerResult.rowCount === 0) {
+      throw new Error('Manager does not have permission to create blocks for this location');
+    }
+
+    const manager = managerResult.rows[0];
+
+    if (manager.status !== 'active') {
+      throw new Error('Manager account is not active');
+    }
+
+    return manager;
+  }
+
+  // Blocks posted by another manager can only be changed by roles with
+  // blocks.manage_others. `manager` is the row verifyManagerLocation returns.
+  verifyBlockOwnership(manager, block) {
+    const createdBy = block.manager_id;
+    if (createdBy && String(createdBy) !== String(manager.manager_id) && !can(manager.role, 'blocks.manage_others')) {
+      throw new Error('Only a general manager or supervisor can change blocks created by another manager');
+    }
+  }
+
+  // Read access: the manager is linked to the location's store
+  async hasLocationAccess(managerId, locationId) {
+    const result = await this.dbPool.query(`
+      SELECT 1
+      FROM manager_store_access msl
+      JOIN locations l ON msl.store_id = l.store_id
+      WHERE msl.manager_id = $1 AND l.location_id = $2
+    `, [managerId, locationId]);
+    return result.rows.length > 0;
+  }
+
+  // Same field rules as POST /api/blocks. Returns an error message or null.
+  validateBlockFields(block) {
+    if (!block.start_time || !block.end_time || !block.date || !block.amount) {
+      return 'Missing required fields. Required: start_time, end_time, date, amount';
+    }
+
+    const startDate = new Date(block.start_time);
+    const endDate = new Date(block.end_time);
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return 'Invalid datetime format';
+    }
+
+    if (endDate <= startDate) {
+      return 'End time must be after start time';
+    }
+
+    return null;
+  }
+
+  // Checks a batch of blocks against each other and against blocks already
+  // at the location. Returns one entry per block: { error, duplicateOf, overlaps }.
+  async findSlotConflicts(client, locationId, blocks) {
+    const valid = blocks.filter(block => !this.validateBlockFields(block));
+    if (valid.length === 0) {
+      return blocks.map(block => ({ error: this.validateBlockFields(block), duplicateOf: null, overlaps: [] }));
+    }
+
+    const rangeStart = new Date(Math.min(...valid.map(block => new Date(block.start_time).getTime())));
+    const rangeEnd = new Date(Math.max(...valid.map(block => new Date(block.end_time).getTime())));
+
+    const existingResult = await client.query(`
+      SELECT block_id, start_time, end_time
+      FROM blocks
+      WHERE location_id = $1
+        AND start_time < $3::timestamptz
+        AND end_time > $2::timestamptz
+        AND COALESCE(status, '') <> 'cancelled'
+    `, [locationId, rangeStart.toISOString(), rangeEnd.toISOString()]);
+
+    const existing = existingResult.rows.map(row => ({
+      blockId: row.block_id,
+      start: new Date(row.start_time).getTime(),
+      end: new Date(row.end_time).getTime()
+    }));
+
+    return blocks.map((block, index) => {
+      const error = this.validateBlockFields(block);
+      if (error) {
+        return { error, duplicateOf: null, overlaps: [] };
+      }
+
+      const start = new Date(block.start_time).getTime();
+      const end = new Date(block.end_time).getTime();
+      let duplicateOf = null;
+      const overlaps = [];
+
+      for (const other of existing) {
+        if (other.start === start && other.end === end) {
+          duplicateOf = duplicateOf || { blockId: other.blockId };
+        } else if (other.start < end && other.end > start) {
+          overlaps.push({ blockId: other.blockId });
+        }
+      }
+
+      // Only compare with earlier rows so the first of a repeated pair is kept
+      for (let i = 0; i < index; i++) {
+        if (this.validateBlockFields(blocks[i])) continue;
+        const otherStart = new Date(blocks[i].start_time).getTime();
+        const otherEnd = new Date(blocks[i].end_time).getTime();
+
+        if (otherStart === start && otherEnd === end) {
+          duplicateOf = duplicateOf || { row: i };
+        } else if (otherStart < end && otherEnd > start) {
+          overlaps.push({ row: i });
+        }
+      }
+
+      return { error: null, duplicateOf, overlaps };
+    });
+  }
+
+  // Latest claim on a block that has not been cancelled, or null
+  async getActiveClaim(client, blockId) {
+    const result = await client.query(`
+      SELECT claim_id, driver_id, claim_time, service_status, check_in_time, check_out_time
+      FROM block_claims
+      WHERE block_id = $1 AND cancellation_type IS NULL
+      ORDER BY claim_time DESC
+      LIMIT 1
+    `, [blockId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Appends to the block/claim audit trail. changedBy is a manager; drivers and
+  // background jobs pass actorType/actorId instead.
+  async recordHistory(client, {
+    blockId,
+    claimId = null,
+    action,
+    changedBy = null,
+    actorType = null,
+    actorId = null,
+    source = 'api',
+    before = null,
+    after = null,
+    reason = null
+  }) {
+    await client.query(`
+      INSERT INTO block_history (
+        block_id, claim_id, action, changed_by, actor_type, actor_id, source,
+        before_values, after_values, reason, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9::jsonb, $10, NOW())
+    `, [
+      blockId,
+      claimId,
+      action,
+      changedBy,
+      actorType || (changedBy ? 'manager' : 'system'),
+      actorId ?? changedBy,
+      source,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      reason
+    ]);
+  }
+
+  distanceMeters(lat1, lon1, lat2, lon2) {
+    const R = 6371000; // Earth radius in meters
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+      Math.sin(dLon/2) * Math.sin(dLon/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    return R * c;
+  }
+
+  // Whether a reported position is inside the store geofence. GPS accuracy is
+  // credited up to maxAccuracyCredit meters so a poor fix at the door still passes.
+  checkGeofence(store, latitude, longitude, accuracy, maxAccuracyCredit = 100) {
+    const radius = parseFloat(store.geofence_radius_meters) ||
+      parseFloat(process.env.GEOFENCE_DEFAULT_RADIUS_METERS) || 150;
+    const distance = this.distanceMeters(
+      parseFloat(store.store_latitude),
+      parseFloat(store.store_longitude),
+      latitude,
+      longitude
+    );
+    const credit = Math.min(accuracy || 0, maxAccuracyCredit);
+
+    return {
+      inside: distance - credit <= radius,
+      distance: Math.round(distance * 100) / 100,
+      radius
+    };
+  }
+
+  parseTimezoneOffset(timezone) {
+    if (!timezone) return -480; // Default PST
+
+    const match = timezone.match(/GMT([+-])(\d{2}):(\d{2})/);
+    if (!match) return -480;
+
+    const sign = match[1] === '+' ? 1 : -1;
+    const hours = parseInt(match[2], 10);
+    const minutes = parseInt(match[3], 10);
+
+    return sign * (hours * 60 + minutes);
+  }
+
+  // Store-local calendar date (YYYY-MM-DD) for an instant
+  getLocalDateString(date, offsetMinutes) {
+    return new Date(date.getTime() + offsetMinutes * 60000).toISOString().split('T')[0];
+  }
+
+  addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  }
+
+  getDayOfWeek(dateString) {
+    return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+  }
+
+  // Converts a store-local date + HH:MM[:SS] time into a UTC Date
+  localToUtc(dateString, timeString, offsetMinutes) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hours, minutes] = timeString.split(':').map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes) - offsetMinutes * 60000);
+  }
+
+  // Start/end instants for a template occurrence on a local date.
+  // An end time at or before the start time rolls over to the next day.
+  getTemplateWindow(template, dateString, offsetMinutes) {
+    const start = this.localToUtc(dateString, template.start_local_time, offsetMinutes);
+    let end = this.localToUtc(dateString, template.end_local_time, offsetMinutes);
+    if (end <= start) {
+      end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+    }
+    return { start, end };
+  }
+
+  // Inserts a block and records its creation in the history with the given source
+  async insertBlock(client, block, { source = 'api', reason = null } = {}) {
+    const insertQuery = `
+      INSERT INTO blocks (
+        location_id,
+        start_time,
+        end_time,
+        amount,
+        status,
+        date,
+        device_local_time,
+        device_timezone_offset,
+        device_time_zone_name,
+        manager_id,
+        template_id,
+        created_at
+      )
+      VALUES (
+        $1,
+        $2::timestamptz,
+        $3::timestamptz,
+        $4,
+        $5,
+        $6::date,
+        $7,
+        $8,
+        $9,
+        $10,
+        $11,
+        NOW()
+      )
+      RETURNING block_id, start_time, end_time, manager_id, amount, status, to_char(date, 'YYYY-MM-DD') as date
+    `;
+
+    const result = await client.query(insertQuery, [
+      block.location_id,
+      block.start_time,
+      block.end_time,
+      block.amount,
+      block.status || 'available',
+      block.date,
+      block.device_local_time || null,
+      block.device_timezone_offset || null,
+      block.device_time_zone_name || null,
+      block.manager_id,
+      block.template_id || null
+    ]);
+
+    const created = result.rows[0];
+
+    await this.recordHistory(client, {
+      blockId: created.block_id,
+      action: 'created',
+      changedBy: source === 'template_publish' ? null : block.manager_id,
+      source,
+      after: {
+        location_id: parseInt(block.location_id),
+        start_time: created.start_time,
+        end_time: created.end_time,
+        amount: created.amount,
+        status: created.status,
+        date: created.date,
+        template_id: block.template_id || null
+      },
+      reason
+    });
+
+    return created;
+  }
+
+  // Materializes one template for every matching local date in [fromDate, throughDate].
+  // Slots that already started are skipped, and so are slots that already have at least
+  // block_count blocks with the same start/end, counting this template's deleted blocks.
+  async publishTemplate(template, fromDate, throughDate) {
+    const client = await this.dbPool.connect();
+    const created = [];
+
+    try {
+      await client.query('BEGIN');
+
+      const manager = await this.verifyManagerLocation(client, template.manager_id, template.location_id);
+      const offsetMinutes = this.parseTimezoneOffset(manager.time_zone_code);
+      const days = (template.days_of_week || []).map(Number);
+
+      for (let date = fromDate; date <= throughDate; date = this.addDays(date, 1)) {
+        if (!days.includes(this.getDayOfWeek(date))) continue;
+
+        const { start, end } = this.getTemplateWindow(template, date, offsetMinutes);
+        if (start <= new Date()) continue;
+
+        // A deleted templated block is left deleted instead of coming back every night
+        const existing = await client.query(`
+          SELECT
+            (SELECT COUNT(*) FROM blocks
+             WHERE location_id = $1 AND start_time = $2::timestamptz AND end_time = $3::timestamptz)
+            +
+            (SELECT COUNT(*) FROM block_history
+             WHERE action = 'deleted'
+               AND (before_values->>'template_id')::int = $4
+               AND (before_values->>'start_time')::timestamptz = $2::timestamptz
+               AND (before_values->>'end_time')::timestamptz = $3::timestamptz) as count
+        `, [template.location_id, start.toISOString(), end.toISOString(), template.template_id]);
+
+        const missing = template.block_count - parseInt(existing.rows[0].count);
+
+        for (let i = 0; i < missing; i++) {
+          const block = await this.insertBlock(client, {
+            location_id: template.location_id,
+            start_time: start.toISOString(),
+            end_time: end.toISOString(),
+            amount: template.amount,
+            date,
+            manager_id: template.manager_id,
+            template_id: template.template_id
+          }, { source: 'template_publish' });
+          created.push(block);
+        }
+      }
+
+      await client.query(`
+        UPDATE block_templates
+        SET last_published_through = GREATEST(COALESCE(last_published_through, $2::date), $2::date)
+        WHERE template_id = $1
+      `, [template.template_id, throughDate]);
+
+      await client.query('COMMIT');
+      return created;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Moves unclaimed blocks whose start has passed to 'expired', flags claims
+  // with no check-in graceMinutes after start as no-shows (recorded on the driver),
+  // and closes swap offers nobody picked up in time.
+  // Only blocks that started within lookbackHours are checked for no-shows, so claims
+  // from before tracking began (or long-finished blocks never marked complete) aren't flagged
+  async expireBlocksAndFlagNoShows(graceMinutes, lookbackHours) {
+    const client = await this.dbPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const expired = await client.query(`
+        UPDATE blocks b
+        SET status = 'expired', updated_at = NOW()
+        WHERE b.status = 'available'
+          AND b.start_time < NOW()
+          AND NOT EXISTS (
+            SELECT 1 FROM block_claims bc
+            WHERE bc.block_id = b.block_id AND bc.cancellation_type IS NULL
+          )
+        RETURNING b.block_id
+      `);
+
+      for (const row of expired.rows) {
+        await this.recordHistory(client, {
+          blockId: row.block_id,
+          action: 'expired',
+          source: 'expiration_job',
+          before: { status: 'available' },
+          after: { status: 'expired' },
+          reason: 'Start time passed without a claim'
+        });
+      }
+
+      const noShows = await client.query(`
+        UPDATE block_claims bc
+        SET service_status = 'no_show'
+        FROM blocks b
+        WHERE bc.block_id = b.block_id
+          AND bc.cancellation_type IS NULL
+          AND bc.check_in_time IS NULL
+          AND COALESCE(bc.service_status, '') NOT IN ('complete', 'in_progress', 'no_show', 'cancelled')
+          AND b.start_time < NOW() - ($1 || ' minutes')::interval
+          AND b.start_time > NOW() - ($2 || ' hours')::interval
+        RETURNING bc.claim_id, bc.driver_id, bc.block_id, b.location_id,
+          FLOOR(EXTRACT(EPOCH FROM (NOW() - b.start_time)) / 60)::int as minutes_late
+      `, [graceMinutes, lookbackHours]);
+
+      for (const row of noShows.rows) {
+        await client.query(`
+          INSERT INTO driver_no_shows (driver_id, claim_id, block_id, location_id, minutes_late, detected_at)
+          VALUES ($1, $2, $3, $4, $5, NOW())
+          ON CONFLICT (claim_id) DO NOTHING
+        `, [row.driver_id, row.claim_id, row.block_id, row.location_id, row.minutes_late]);
+
+        await this.recordHistory(client, {
+          blockId: row.block_id,
+          claimId: row.claim_id,
+          action: 'no_show',
+          source: 'expiration_job',
+          after: { service_status: 'no_show', driver_id: row.driver_id },
+          reason: `No check-in ${row.minutes_late} minutes after start`
+        });
+      }
+
+      // The original driver still holds the claim, so a no-show can follow
+      const expiredSwaps = await client.query(`
+        UPDATE block_swap_offers so
+        SET status = 'expired'
+        FROM blocks b
+        WHERE so.block_id = b.block_id
+          AND so.status IN ('open', 'pending_approval')
+          AND b.start_time < NOW()
+        RETURNING so.swap_id
+      `);
+
+      await client.query('COMMIT');
+
+      return { expired: expired.rowCount, noShows: noShows.rowCount, expiredSwaps: expiredSwaps.rowCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Publishes every active template from the store-local "today" through daysAhead days out
+  async publishActiveTemplates(daysAhead) {
+    const templates = await this.dbPool.query(`
+      SELECT t.*, l.time_zone_code
+      FROM block_templates t
+      JOIN locations l ON t.location_id = l.location_id
+      WHERE t.is_active = true
+    `);
+
+    let createdCount = 0;
+
+    for (const template of templates.rows) {
+      try {
+        const offsetMinutes = this.parseTimezoneOffset(template.time_zone_code);
+        const fromDate = this.getLocalDateString(new Date(), offsetMinutes);
+        const throughDate = this.addDays(fromDate, daysAhead);
+
+        const created = await this.publishTemplate(template, fromDate, throughDate);
+        createdCount += created.length;
+
+        if (created.length > 0) {
+          console.log(`✅ Template ${template.template_id} published ${created.length} blocks at location ${template.location_id}`);
+        }
+      } catch (err) {
+        console.error(`Failed to publish template ${template.template_id}:`, err.message);
+      }
+    }
+
+    return createdCount;
+  }
+}
+
+module.exports = BlockService;
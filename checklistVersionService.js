@@ -0,0 +1,124 @@
+// Fields that only describe where an item sits; a change to these alone is a move
+const POSITION_FIELDS = ['sort_order'];
+
+class ChecklistVersionService {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+  }
+
+  // The version matching the template's active items right now, saved as a new
+  // version when the items changed since the last one. `db` can be a transaction
+  // client. Two callers racing to save the same change end up on the same version.
+  async getCurrentVersion(db, templateId, createdBy = null) {
+    const inserted = await db.query(`
+      WITH live AS (
+        SELECT checklist_template_snapshot($1) as items
+      ),
+      latest AS (
+        SELECT version_number, items
+        FROM checklist_template_versions
+        WHERE template_id = $1
+        ORDER BY version_number DESC
+        LIMIT 1
+      )
+      INSERT INTO checklist_template_versions (template_id, version_number, items, item_count, total_points, created_by)
+      SELECT
+        $1,
+        COALESCE((SELECT version_number FROM latest), 0) + 1,
+        live.items,
+        jsonb_array_length(live.items),
+        COALESCE((SELECT SUM((item->>'point_value')::numeric) FROM jsonb_array_elements(live.items) item), 0),
+        $2
+      FROM live
+      WHERE NOT EXISTS (SELECT 1 FROM latest WHERE latest.items = live.items)
+      ON CONFLICT (template_id, version_number) DO NOTHING
+      RETURNING *
+    `, [templateId, createdBy]);
+
+    if (inserted.rows.length > 0) {
+      console.log(`📋 Checklist template ${templateId} saved as version ${inserted.rows[0].version_number}`);
+      return inserted.rows[0];
+    }
+
+    const latest = await db.query(`
+      SELECT * FROM checklist_template_versions
+      WHERE template_id = $1
+      ORDER BY version_number DESC
+      LIMIT 1
+    `, [templateId]);
+
+    return latest.rows[0];
+  }
+
+  async getVersions(templateId) {
+    const result = await this.dbPool.query(`
+      SELECT
+        v.version_id,
+        v.version_number,
+        v.item_count,
+        v.total_points,
+        v.created_by,
+        m.first_name || ' ' || m.last_name as created_by_name,
+        v.created_at,
+        (SELECT COUNT(*) FROM store_workflows w WHERE w.template_version_id = v.version_id) as workflow_count
+      FROM checklist_template_versions v
+      LEFT JOIN managers m ON v.created_by = m.manager_id
+      WHERE v.template_id = $1
+      ORDER BY v.version_number DESC
+    `, [templateId]);
+
+    return result.rows;
+  }
+
+  // A saved version, or the unsaved live items for 'current'
+  async getVersion(templateId, versionNumber) {
+    if (versionNumber === 'current') {
+      const result = await this.dbPool.query('SELECT checklist_template_snapshot($1) as items', [templateId]);
+      return { template_id: parseInt(templateId), version_number: 'current', items: result.rows[0].items };
+    }
+
+    const result = await this.dbPool.query(
+      'SELECT * FROM checklist_template_versions WHERE template_id = $1 AND version_number = $2',
+      [templateId, versionNumber]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Items matched by item_id: { added, removed, changed, moved }. `changed` lists each
+  // field that differs; `moved` holds items whose only change is their position.
+  diffItems(fromItems, toItems) {
+    const fromById = new Map(fromItems.map(item => [String(item.item_id), item]));
+    const toById = new Map(toItems.map(item => [String(item.item_id), item]));
+
+    const added = toItems.filter(item => !fromById.has(String(item.item_id)));
+    const removed = fromItems.filter(item => !toById.has(String(item.item_id)));
+    const changed = [];
+    const moved = [];
+
+    toItems.forEach(item => {
+      const previous = fromById.get(String(item.item_id));
+      if (!previous) return;
+
+      const fields = {};
+      new Set([...Object.keys(previous), ...Object.keys(item)]).forEach(field => {
+        if (JSON.stringify(previous[field]) !== JSON.stringify(item[field])) {
+          fields[field] = { before: previous[field] ?? null, after: item[field] ?? null };
+        }
+      });
+
+      const fieldNames = Object.keys(fields);
+      if (fieldNames.length === 0) return;
+
+      if (fieldNames.every(field => POSITION_FIELDS.includes(field))) {
+        moved.push({ item_id: item.item_id, item_text: item.item_text, fields });
+      } else {
+        changed.push({ item_id: item.item_id, item_text: item.item_text, fields });
+      }
+    });
+
+    return { added, removed, changed, moved };
+  }
+}
+
+module.exports = ChecklistVersionService;
@@ -0,0 +1,308 @@
+const CREDENTIAL_ALERT_THRESHOLDS = [30, 14, 7];
+
+// One row per driver and credential, with the latest expiry on file
+const CREDENTIALS_QUERY = `
+  SELECT d.driver_id, 'license' as credential_type, d.driver_license_expiration::date as expires_on
+  FROM drivers d
+  UNION ALL
+  SELECT cd.driver_id, 'registration', MAX(cd.vehicle_registration_expiration)::date
+  FROM car_details cd
+  GROUP BY cd.driver_id
+  UNION ALL
+  SELECT i.driver_id, 'insurance', MAX(i.policy_end_date)::date
+  FROM insurance_details i
+  GROUP BY i.driver_id
+`;
+
+// Drivers who have worked or claimed blocks at location $1 in the last 90 days
+const LOCATION_DRIVERS_QUERY = `
+  SELECT DISTINCT bc.driver_id
+  FROM block_claims bc
+  JOIN blocks b ON bc.block_id = b.block_id
+  WHERE b.location_id = $1
+    AND b.date >= CURRENT_DATE - INTERVAL '90 days'
+`;
+
+// Attendance (completed vs. no-shows and driver cancellations) and average
+// manager rating are blended into a 0-100 reliability score
+const RELIABILITY_ATTENDANCE_WEIGHT = 0.6;
+const RELIABILITY_RATING_WEIGHT = 0.4;
+
+class DriverService {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+  }
+
+  // Smallest alert threshold a credential falls under, 0 once lapsed, null if not due
+  getCredentialThreshold(daysRemaining) {
+    if (daysRemaining === null || daysRemaining === undefined) return 0;
+    if (daysRemaining < 0) return 0;
+
+    const thresholds = [...CREDENTIAL_ALERT_THRESHOLDS].sort((a, b) => a - b);
+    return thresholds.find(threshold => daysRemaining <= threshold) ?? null;
+  }
+
+  // Drivers who have worked or claimed blocks at the location in the last 90 days
+  // and whose license, registration or insurance is missing, lapsed or expiring within `withinDays`.
+  async getExpiringCredentials(locationId, withinDays) {
+    const result = await this.dbPool.query(`
+      WITH location_drivers AS (${LOCATION_DRIVERS_QUERY}),
+      credentials AS (${CREDENTIALS_QUERY})
+      SELECT
+        c.driver_id,
+        c.credential_type,
+        to_char(c.expires_on, 'YYYY-MM-DD') as expires_on,
+        (c.expires_on - CURRENT_DATE) as days_remaining,
+        d.first_name,
+        d.last_name,
+        d.phone_number,
+        d.email
+      FROM credentials c
+      JOIN location_drivers ld ON c.driver_id = ld.driver_id
+      JOIN drivers d ON c.driver_id = d.driver_id
+      WHERE c.expires_on IS NULL OR c.expires_on <= CURRENT_DATE + $2::int
+      ORDER BY c.expires_on NULLS FIRST, d.last_name, d.first_name
+    `, [locationId, withinDays]);
+
+    const drivers = new Map();
+
+    result.rows.forEach(row => {
+      if (!drivers.has(row.driver_id)) {
+        drivers.set(row.driver_id, {
+          driverId: row.driver_id,
+          fullName: `${row.first_name} ${row.last_name}`,
+          phone: row.phone_number,
+          email: row.email,
+          credentials: []
+        });
+      }
+
+      const daysRemaining = row.days_remaining !== null ? parseInt(row.days_remaining) : null;
+
+      drivers.get(row.driver_id).credentials.push({
+        type: row.credential_type,
+        expiresOn: row.expires_on,
+        daysRemaining,
+        status: daysRemaining === null ? 'missing' : (daysRemaining < 0 ? 'lapsed' : 'expiring'),
+        threshold: this.getCredentialThreshold(daysRemaining)
+      });
+    });
+
+    return Array.from(drivers.values());
+  }
+
+  // Credentials that are lapsed or missing for one driver
+  async getLapsedCredentials(client, driverId) {
+    const result = await client.query(`
+      WITH credentials AS (${CREDENTIALS_QUERY})
+      SELECT credential_type, to_char(expires_on, 'YYYY-MM-DD') as expires_on
+      FROM credentials
+      WHERE driver_id = $1
+        AND (expires_on IS NULL OR expires_on < CURRENT_DATE)
+    `, [driverId]);
+
+    return result.rows;
+  }
+
+  // Reasons a driver may not claim a block at a location right now (empty when allowed).
+  // Pass the block (with created_at) to also apply the preferred-driver early-access window.
+  async getClaimRestrictions(client, driverId, locationId, block = null) {
+    const restrictions = [];
+
+    const locationResult = await client.query(`
+      SELECT l.require_valid_credentials, l.preferred_early_access_minutes, ldl.list_type
+      FROM locations l
+      LEFT JOIN location_driver_lists ldl ON ldl.location_id = l.location_id AND ldl.driver_id = $2
+      WHERE l.location_id = $1
+    `, [locationId, driverId]);
+    const location = locationResult.rows[0] || {};
+
+    if (location.list_type === 'blocked') {
+      restrictions.push({
+        code: 'driver_blocked',
+        message: 'You are not able to claim blocks at this store'
+      });
+    }
+
+    if (block && block.created_at && location.preferred_early_access_minutes > 0 &&
+        location.list_type !== 'preferred') {
+      const opensAt = new Date(new Date(block.created_at).getTime() + location.preferred_early_access_minutes * 60000);
+      if (opensAt > new Date()) {
+        restrictions.push({
+          code: 'early_access',
+          message: 'This block is only open to preferred drivers right now',
+          opensAt: opensAt.toISOString()
+        });
+      }
+    }
+
+    if (location.require_valid_credentials) {
+      const lapsed = await this.getLapsedCredentials(client, driverId);
+      if (lapsed.length > 0) {
+        restrictions.push({
+          code: 'credentials_lapsed',
+          message: `Expired or missing credentials: ${lapsed.map(c => c.credential_type).join(', ')}`,
+          credentials: lapsed
+        });
+      }
+    }
+
+    return restrictions;
+  }
+
+  // Reliability over the last windowDays for each driver, keyed by driver_id.
+  // score is null for drivers with no shifts or ratings in the window.
+  async getReliabilityScores(client, driverIds, windowDays = parseInt(process.env.RELIABILITY_WINDOW_DAYS) || 90) {
+    const scores = new Map();
+    if (!driverIds || driverIds.length === 0) return scores;
+
+    const result = await client.query(`
+      WITH claims AS (
+        SELECT
+          bc.driver_id,
+          COUNT(*) FILTER (WHERE bc.service_status = 'complete') as completed,
+          COUNT(*) FILTER (WHERE bc.service_status = 'no_show') as no_shows,
+          -- Manager cancellations and completed swaps aren't the driver's fault
+          COUNT(*) FILTER (
+            WHERE bc.cancellation_type IS NOT NULL AND bc.cancellation_type NOT IN ('manager', 'swapped')
+          ) as cancellations
+        FROM block_claims bc
+        JOIN blocks b ON bc.block_id = b.block_id
+        WHERE bc.driver_id = ANY($1::int[])
+          AND b.start_time >= NOW() - ($2 || ' days')::interval
+          AND b.start_time < NOW()
+        GROUP BY bc.driver_id
+      ),
+      ratings AS (
+        SELECT
+          driver_id,
+          COUNT(*) as ratings_count,
+          AVG(punctuality) as avg_punctuality,
+          AVG(professionalism) as avg_professionalism
+        FROM driver_ratings
+        WHERE driver_id = ANY($1::int[])
+          AND created_at >= NOW() - ($2 || ' days')::interval
+        GROUP BY driver_id
+      )
+      SELECT
+        d.driver_id,
+        COALESCE(c.completed, 0)::int as completed,
+        COALESCE(c.no_shows, 0)::int as no_shows,
+        COALESCE(c.cancellations, 0)::int as cancellations,
+        COALESCE(r.ratings_count, 0)::int as ratings_count,
+        r.avg_punctuality,
+        r.avg_professionalism
+      FROM unnest($1::int[]) AS d(driver_id)
+      LEFT JOIN claims c ON c.driver_id = d.driver_id
+      LEFT JOIN ratings r ON r.driver_id = d.driver_id
+    `, [driverIds, windowDays]);
+
+    result.rows.forEach(row => {
+      const shifts = row.completed + row.no_shows + row.cancellations;
+      const attendance = shifts > 0 ? row.completed / shifts : null;
+      const averageRating = row.ratings_count > 0
+        ? (parseFloat(row.avg_punctuality) + parseFloat(row.avg_professionalism)) / 2
+        : null;
+
+      let score = null;
+      if (attendance !== null && averageRating !== null) {
+        score = 100 * (RELIABILITY_ATTENDANCE_WEIGHT * attendance + RELIABILITY_RATING_WEIGHT * averageRating / 5);
+      } else if (attendance !== null) {
+        score = 100 * attendance;
+      } else if (averageRating !== null) {
+        score = 100 * averageRating / 5;
+      }
+
+      scores.set(row.driver_id, {
+        score: score !== null ? Math.round(score) : null,
+        windowDays,
+        completedShifts: row.completed,
+        noShows: row.no_shows,
+        cancellations: row.cancellations,
+        ratingsCount: row.ratings_count,
+        averagePunctuality: row.avg_punctuality !== null ? Math.round(parseFloat(row.avg_punctuality) * 10) / 10 : null,
+        averageProfessionalism: row.avg_professionalism !== null ? Math.round(parseFloat(row.avg_professionalism) * 10) / 10 : null
+      });
+    });
+
+    return scores;
+  }
+
+  // Records one alert per driver/credential/threshold and returns the new ones
+  async raiseCredentialAlerts() {
+    const result = await this.dbPool.query(`
+      WITH credentials AS (${CREDENTIALS_QUERY}),
+      due AS (
+        SELECT
+          driver_id,
+          credential_type,
+          expires_on,
+          CASE
+            WHEN expires_on < CURRENT_DATE THEN 0
+            ELSE (
+              SELECT MIN(threshold) FROM unnest($1::int[]) AS threshold
+              WHERE threshold >= expires_on - CURRENT_DATE
+            )
+          END as threshold_days
+        FROM credentials
+        WHERE expires_on IS NOT NULL
+          AND expires_on <= CURRENT_DATE + (SELECT MAX(threshold) FROM unnest($1::int[]) AS threshold)
+      )
+      INSERT INTO driver_credential_alerts (driver_id, credential_type, expires_on, threshold_days, created_at)
+      SELECT driver_id, credential_type, expires_on, threshold_days, NOW()
+      FROM due
+      ON CONFLICT (driver_id, credential_type, expires_on, threshold_days) DO NOTHING
+      RETURNING driver_id, credential_type, to_char(expires_on, 'YYYY-MM-DD') as expires_on, threshold_days
+    `, [CREDENTIAL_ALERT_THRESHOLDS]);
+
+    return result.rows;
+  }
+
+  // Alerts raised for the location's drivers, newest first. status is open,
+  // acknowledged or all.
+  async getCredentialAlerts(locationId, status = 'open') {
+    const result = await this.dbPool.query(`
+      WITH location_drivers AS (${LOCATION_DRIVERS_QUERY})
+      SELECT
+        a.alert_id,
+        a.driver_id,
+        d.first_name || ' ' || d.last_name as driver_name,
+        d.phone_number,
+        a.credential_type,
+        to_char(a.expires_on, 'YYYY-MM-DD') as expires_on,
+        a.threshold_days,
+        a.created_at,
+        a.acknowledged_by,
+        m.first_name || ' ' || m.last_name as acknowledged_by_name,
+        a.acknowledged_at
+      FROM driver_credential_alerts a
+      JOIN location_drivers ld ON a.driver_id = ld.driver_id
+      JOIN drivers d ON a.driver_id = d.driver_id
+      LEFT JOIN managers m ON a.acknowledged_by = m.manager_id
+      WHERE $2 = 'all'
+        OR ($2 = 'open' AND a.acknowledged_at IS NULL)
+        OR ($2 = 'acknowledged' AND a.acknowledged_at IS NOT NULL)
+      ORDER BY a.created_at DESC, a.threshold_days
+    `, [locationId, status]);
+
+    return result.rows;
+  }
+
+  // Marks an alert handled when its driver works at the location. Returns the alert,
+  // or null when it isn't one of the location's alerts.
+  async acknowledgeCredentialAlert(locationId, alertId, managerId) {
+    const result = await this.dbPool.query(`
+      WITH location_drivers AS (${LOCATION_DRIVERS_QUERY})
+      UPDATE driver_credential_alerts a
+      SET acknowledged_by = COALESCE(a.acknowledged_by, $3),
+          acknowledged_at = COALESCE(a.acknowledged_at, NOW())
+      WHERE a.alert_id = $2
+        AND a.driver_id IN (SELECT driver_id FROM location_drivers)
+      RETURNING a.alert_id, a.driver_id, a.credential_type, a.acknowledged_by, a.acknowledged_at
+    `, [locationId, alertId, managerId]);
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = DriverService;
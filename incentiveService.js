@@ -0,0 +1,198 @@
+const BONUS_TYPES = ['flat', 'percent'];
+const TRIGGER_TYPES = ['unfilled'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class IncentiveService {
+  constructor(dbPool, blockService) {
+    this.dbPool = dbPool;
+    this.blockService = blockService;
+  }
+
+  get bonusTypes() {
+    return BONUS_TYPES;
+  }
+
+  get triggerTypes() {
+    return TRIGGER_TYPES;
+  }
+
+  calculateBump(rule, currentAmount) {
+    const value = parseFloat(rule.bonus_value) || 0;
+    const bump = rule.bonus_type === 'percent' ? currentAmount * value / 100 : value;
+    return roundMoney(bump);
+  }
+
+  // Whether a block's local start falls inside the rule's optional day/time window
+  matchesWindow(rule, block, offsetMinutes) {
+    const localStart = new Date(new Date(block.start_time).getTime() + offsetMinutes * 60000);
+
+    if (rule.days_of_week && rule.days_of_week.length > 0 &&
+        !rule.days_of_week.map(Number).includes(localStart.getUTCDay())) {
+      return false;
+    }
+
+    if (rule.window_start_local_time && rule.window_end_local_time) {
+      const localTime = localStart.toISOString().substring(11, 19);
+      const from = rule.window_start_local_time;
+      const to = rule.window_end_local_time;
+
+      // A window such as 22:00-02:00 wraps past midnight
+      const inWindow = from <= to
+        ? localTime >= from && localTime < to
+        : localTime >= from || localTime < to;
+
+      if (!inWindow) return false;
+    }
+
+    return true;
+  }
+
+  // Applies one rule to one block inside a transaction. Returns the bump row or null.
+  async bumpBlock(rule, blockId) {
+    const client = await this.dbPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const blockResult = await client.query(`
+        SELECT block_id, location_id, to_char(date, 'YYYY-MM-DD') as date, amount, status, start_time
+        FROM blocks
+        WHERE block_id = $1
+        FOR UPDATE
+      `, [blockId]);
+
+      const block = blockResult.rows[0];
+      if (!block || block.status !== 'available' || new Date(block.start_time) <= new Date()) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (await this.blockService.getActiveClaim(client, blockId)) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      // Serialize cap checks per location so two bumps can't both squeeze under it
+      await client.query('SELECT pg_advisory_xact_lock($1)', [block.location_id]);
+
+      const currentAmount = parseFloat(block.amount);
+      let bump = this.calculateBump(rule, currentAmount);
+      let capped = false;
+
+      if (rule.max_block_amount !== null && rule.max_block_amount !== undefined) {
+        const room = roundMoney(parseFloat(rule.max_block_amount) - currentAmount);
+        if (bump > room) {
+          bump = room;
+          capped = true;
+        }
+      }
+
+      if (rule.incentive_daily_cap !== null && rule.incentive_daily_cap !== undefined) {
+        const spentResult = await client.query(`
+          SELECT COALESCE(SUM(bump_amount), 0) as spent
+          FROM block_incentive_bumps
+          WHERE location_id = $1 AND block_date = $2::date
+        `, [block.location_id, block.date]);
+
+        const room = roundMoney(parseFloat(rule.incentive_daily_cap) - parseFloat(spentResult.rows[0].spent));
+        if (bump > room) {
+          bump = room;
+          capped = true;
+        }
+      }
+
+      if (bump <= 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const newAmount = roundMoney(currentAmount + bump);
+
+      await client.query(
+        'UPDATE blocks SET amount = $2, updated_at = NOW() WHERE block_id = $1',
+        [blockId, newAmount]
+      );
+
+      const bumpResult = await client.query(`
+        INSERT INTO block_incentive_bumps (
+          rule_id, block_id, location_id, block_date, previous_amount, bump_amount, new_amount, capped, created_at
+        ) VALUES ($1, $2, $3, $4::date, $5, $6, $7, $8, NOW())
+        RETURNING *
+      `, [rule.rule_id, blockId, block.location_id, block.date, currentAmount, bump, newAmount, capped]);
+
+      await this.blockService.recordHistory(client, {
+        blockId: block.block_id,
+        action: 'incentive_bump',
+        source: 'incentive_job',
+        before: { amount: currentAmount },
+        after: { amount: newAmount, rule_id: rule.rule_id, capped },
+        reason: rule.name || `Incentive rule ${rule.rule_id}`
+      });
+
+      await client.query('COMMIT');
+      return bumpResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Raises the amount of unclaimed blocks that match an active rule. Each rule
+  // bumps a given block at most once.
+  async applyIncentiveRules(locationId = null) {
+    const rulesResult = await this.dbPool.query(`
+      SELECT r.*, l.time_zone_code, l.incentive_daily_cap
+      FROM incentive_rules r
+      JOIN locations l ON r.location_id = l.location_id
+      WHERE r.is_active = true
+        AND r.trigger_type = 'unfilled'
+        AND ($1::int IS NULL OR r.location_id = $1)
+      ORDER BY r.rule_id
+    `, [locationId]);
+
+    const bumps = [];
+
+    for (const rule of rulesResult.rows) {
+      try {
+        const offsetMinutes = this.blockService.parseTimezoneOffset(rule.time_zone_code);
+
+        const candidates = await this.dbPool.query(`
+          SELECT b.block_id, b.start_time
+          FROM blocks b
+          WHERE b.location_id = $1
+            AND b.status = 'available'
+            AND b.start_time > NOW()
+            AND b.start_time <= NOW() + ($2 || ' hours')::interval
+            AND NOT EXISTS (
+              SELECT 1 FROM block_claims bc
+              WHERE bc.block_id = b.block_id AND bc.cancellation_type IS NULL
+            )
+            AND NOT EXISTS (
+              SELECT 1 FROM block_incentive_bumps ib
+              WHERE ib.block_id = b.block_id AND ib.rule_id = $3
+            )
+          ORDER BY b.start_time
+        `, [rule.location_id, rule.hours_before_start, rule.rule_id]);
+
+        for (const block of candidates.rows) {
+          if (!this.matchesWindow(rule, block, offsetMinutes)) continue;
+
+          const bump = await this.bumpBlock(rule, block.block_id);
+          if (bump) {
+            bumps.push(bump);
+            console.log(`💰 Block ${bump.block_id} raised ${bump.previous_amount} → ${bump.new_amount} by incentive rule ${rule.rule_id}${bump.capped ? ' (capped)' : ''}`);
+          }
+        }
+      } catch (err) {
+        console.error(`Failed to apply incentive rule ${rule.rule_id}:`, err.message);
+      }
+    }
+
+    return bumps;
+  }
+}
+
+module.exports = IncentiveService;
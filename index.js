@@ -28,6 +28,15 @@ const tempPhotosBucketName = process.env.GCS_TEMP_PHOTOS_BUCKET_NAME || process.
 
 const WeatherService = require('./weatherService');
 const StoreIntelligenceService = require('./storeIntelligenceService');
+const BlockService = require('./blockService');
+const DriverService = require('./driverService');
+const PayoutService = require('./payoutService');
+const IncentiveService = require('./incentiveService');
+const AnalyticsService = require('./analyticsService');
+const StaffingPlanService = require('./staffingPlanService');
+const StoreLinkService = require('./storeLinkService');
+const ChecklistVersionService = require('./checklistVersionService');
+const { ROLES, can, getPermissions, canAssignRole } = require('./permissions');
 
 const app = express();
 
@@ -115,10 +124,254 @@ const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+const blockService = new BlockService(pool);
+const driverService = new DriverService(pool);
+const payoutService = new PayoutService(pool);
+const incentiveService = new IncentiveService(pool, blockService);
+const analyticsService = new AnalyticsService(pool, blockService);
+const storeLinkService = new StoreLinkService(pool);
+const checklistVersionService = new ChecklistVersionService(pool);
+
+// Clerk session auth for everything under /api. Manager IDs in requests are checked
+// against (and filled from) the signed-in manager.
+const auth = require('./middleware/auth')(pool);
+app.use('/api', auth.guard({
+  publicRoutes: [
+    ['GET', /^\/ping$/],
+    ['GET', /^\/calendar\/[^/]+\.ics$/]
+  ],
+  // Signed in with Clerk but possibly without a manager profile yet
+  onboardingRoutes: [
+    ['POST', /^\/managers\/clerk-login$/],
+    ['POST', /^\/managers\/(phone-)?signup$/],
+    ['POST', /^\/manager-invitations\/accept$/],
+    ['GET', /^\/managers\/clerk\/[^/]+$/]
+  ],
+  // Called by the driver app; a manager ID in the request still needs a manager token
+  driverRoutes: [
+    ['POST', /^\/drivers\/\d+\/location$/],
+    ['GET', /^\/blocks\/\d+\/claim-eligibility$/],
+    ['POST', /^\/blocks\/\d+\/claim$/],
+    ['POST', /^\/claims\/\d+\/(check-in|check-out|swap-offer)$/],
+    ['GET', /^\/swap-offers$/],
+    ['POST', /^\/swap-offers\/\d+\/(pick-up|withdraw)$/]
+  ],
+  // Linking a store is how a manager gets access to it
+  unscopedRoutes: [
+    ['POST', /^\/verify-store$/]
+  ],
+  // Role checks from permissions.js; first match wins
+  permissions: [
+    ['GET', /^\/blocks(\/\d+\/history)?$/, 'blocks.view'],
+    ['GET', /^\/location\/(blocks$|\d+\/blocks\/)/, 'blocks.view'],
+    ['*', /^\/blocks(\/|$)/, 'blocks.manage'],
+    ['*', /^\/(locations\/\d+\/)?block-templates(\/|$)/, 'blocks.manage'],
+    ['POST', /^\/locations\/\d+\/staffing-plan\/accept$/, 'staffing.accept'],
+    ['PUT', /^\/locations\/\d+\/claim-rules$/, 'claim_rules.manage'],
+    ['GET', /^\/locations\/\d+\/driver-lists$/, 'driver_lists.view'],
+    ['*', /^\/locations\/\d+\/driver-lists\/\d+$/, 'driver_lists.manage'],
+    ['PUT', /^\/locations\/\d+\/swap-policy$/, 'swaps.policy'],
+    ['*', /^\/(locations\/\d+\/swap-offers|swap-offers\/\d+\/(approve|reject))$/, 'swaps.manage'],
+    ['GET', /^\/locations\/\d+\/(payouts\/preview|payout-statements(\/export\.csv)?)$/, 'payouts.view'],
+    ['*', /^\/locations\/\d+\/payout-(adjustments|statements)$/, 'payouts.manage'],
+    ['POST', /^\/payout-statements\/\d+\/(approve|mark-paid)$/, 'payouts.approve'],
+    ['GET', /^\/locations\/\d+\/incentive-(rules|bumps)$/, 'incentives.view'],
+    ['*', /^\/(locations\/\d+\/incentive-(rules|settings)|incentive-rules\/\d+)$/, 'incentives.manage'],
+    ['GET', /^\/debug\/workflow\//, 'workflows.debug'],
+    ['POST', /^\/stores\/\d+\/workflows\/generate$/, 'workflows.generate'],
+    ['POST', /^\/workflows\/\d+\/(complete|items\/\d+\/complete)$/, 'workflows.complete'],
+    ['POST', /^\/(temperature-logs|waste-logs)(\/|$)/, 'workflows.complete'],
+    ['GET', /^\/(workflows\/\d+|stores\/\d+\/workflows|checklists\/)/, 'workflows.view'],
+    ['*', /^\/checklists\//, 'checklists.manage'],
+    ['DELETE', /^\/incidents\/\d+$/, 'incidents.delete'],
+    ['POST', /^\/incidents(\/upload-image|\/\d+\/images)?$/, 'incidents.report'],
+    ['GET', /^\/incidents(\/|$)/, 'incidents.view'],
+    ['*', /^\/incidents\/\d+(\/|$)/, 'incidents.update'],
+    ['POST', /^\/(issue-logs|manager-store-issue-logs)$/, 'issue_logs.create'],
+    ['GET', /^\/manager-store-issue-logs$/, 'issue_logs.view'],
+    ['GET', /^\/test-intelligence\//, 'intelligence.debug'],
+    ['GET', /^\/stores\/\d+\/intelligence(-data)?$/, 'intelligence.view'],
+    ['PUT', /^\/stores\/\d+\/managers\/\d+\/role$/, 'roles.assign'],
+    ['*', /^\/stores\/\d+\/link-(requests|policy|attempts)(\/|$)/, 'store_links.manage'],
+    ['*', /^\/manager-invitations(\/|$)/, 'managers.invite'],
+    ['*', /^\/manager-offboardings(\/|$)/, 'managers.offboard'],
+    ['GET', /^\/audit-log$/, 'audit.view'],
+    ['POST', /^\/franchises$/, 'org.create'],
+    ['GET', /^\/(franchises|areas)(\/|$)/, 'org.view'],
+    ['*', /^\/(franchises|areas)(\/|$)/, 'org.manage']
+  ],
+  scopes: [
+    async (req) => {
+      const match = req.path.match(/^\/locations?\/(\d+)(\/|$)/);
+      return match ? { locationId: match[1] } : null;
+    },
+    async (req) => {
+      const match = req.path.match(/^\/(?:stores|store-details|my-stores|test-intelligence)\/(\d+)(\/|$)/);
+      return match ? { storeId: match[1] } : null;
+    },
+    async (req) => {
+      const match = req.path.match(/^\/(?:workflows|debug\/workflow)\/(\d+)(\/|$)/);
+      if (!match) return null;
+      const result = await pool.query('SELECT store_id FROM store_workflows WHERE workflow_id = $1', [match[1]]);
+      return result.rows[0] ? { storeId: result.rows[0].store_id } : null;
+    },
+    async (req) => {
+      const match = req.path.match(/^\/blocks\/(\d+)(\/|$)/);
+      if (!match) return null;
+      // History stays readable after a delete, so fall back to the deleted block's snapshot
+      const result = await pool.query(`
+        SELECT location_id FROM blocks WHERE block_id = $1
+        UNION ALL
+        SELECT (before_values->>'location_id')::int FROM block_history
+        WHERE block_id = $1 AND action = 'deleted'
+        LIMIT 1
+      `, [match[1]]);
+      return result.rows[0] ? { locationId: result.rows[0].location_id } : null;
+    },
+    async (req) => {
+      const match = req.path.match(/^\/(?:claims|drivers)\/(\d+)(\/|$)/);
+      if (!match) return null;
+      // /drivers/:claimId/location is keyed by claim, like /claims/:claimId
+      const result = await pool.query(`
+        SELECT b.location_id
+        FROM block_claims bc
+        JOIN blocks b ON bc.block_id = b.block_id
+        WHERE bc.claim_id = $1
+      `, [match[1]]);
+      return result.rows[0] ? { locationId: result.rows[0].location_id } : null;
+    },
+    async (req) => {
+      const match = req.path.match(/^\/incidents\/(\d+)(\/|$)/);
+      if (!match) return null;
+      const result = await pool.query('SELECT store_id FROM incidents WHERE incident_id = $1', [match[1]]);
+      return result.rows[0] ? { storeId: result.rows[0].store_id } : null;
+    }
+  ]
+}));
+
+// Audit trail of mutating calls that got past the auth guard; see middleware/audit.js
+// for the rule format.
+const audit = require('./middleware/audit')(pool);
+app.use('/api', audit.recorder({
+  rules: [
+    { method: 'POST', pattern: /^\/blocks$/, type: 'block', id: (match, body) => body?.blockId, load: audit.row('blocks', 'block_id') },
+    { method: 'POST', pattern: /^\/blocks\/(bulk|copy-week)$/, type: 'block', id: () => null },
+    { method: 'POST', pattern: /^\/blocks\/\d+\/claim$/, type: 'claim', id: (match, body) => body?.claimId, load: audit.row('block_claims', 'claim_id') },
+    { method: '*', pattern: /^\/blocks\/(\d+)(\/|$)/, type: 'block', load: audit.row('blocks', 'block_id') },
+    { method: '*', pattern: /^\/claims\/(\d+)(\/|$)/, type: 'claim', load: audit.row('block_claims', 'claim_id') },
+    { method: 'POST', pattern: /^\/workflows\/(\d+)\/complete$/, type: 'workflow', load: audit.row('store_workflows', 'workflow_id') },
+    {
+      method: 'POST',
+      pattern: /^\/workflows\/(\d+)\/items\/(\d+)\/complete$/,
+      type: 'workflow_item',
+      id: (match) => `${match[1]}:${match[2]}`,
+      load: async (id) => {
+        const [workflowId, itemId] = id.split(':');
+        const result = await pool.query(
+          'SELECT * FROM workflow_completions WHERE workflow_id = $1 AND item_id = $2',
+          [workflowId, itemId]
+        );
+        return result.rows[0] || null;
+      }
+    },
+    { method: 'POST', pattern: /^\/temperature-logs$/, type: 'temperature_log', id: (match, body) => body?.log_id, load: audit.row('temperature_logs', 'log_id') },
+    { method: 'POST', pattern: /^\/temperature-logs\/(\d+)\/photos$/, type: 'temperature_log', load: audit.row('temperature_logs', 'log_id') },
+    {
+      method: 'POST',
+      pattern: /^\/waste-logs$/,
+      type: 'waste_log',
+      id: (match, body) => audit.pickId(body?.waste_log, ['waste_log_id', 'log_id', 'waste_id', 'id']),
+      created: (body) => body.waste_log
+    },
+    {
+      method: 'POST',
+      pattern: /^\/issue-logs$/,
+      type: 'issue_log',
+      id: (match, body) => audit.pickId(body?.issue_log, ['issue_log_id', 'log_id', 'issue_id', 'id']),
+      created: (body) => body.issue_log
+    },
+    {
+      method: 'POST',
+      pattern: /^\/manager-store-issue-logs$/,
+      type: 'manager_store_issue_log',
+      id: (match, body) => audit.pickId(body?.issue, ['issue_id', 'log_id', 'id']),
+      created: (body) => body.issue
+    },
+    { method: 'POST', pattern: /^\/checklists\/templates$/, type: 'checklist_template', id: (match, body) => body?.template?.template_id, load: audit.row('checklist_templates', 'template_id') },
+    { method: 'POST', pattern: /^\/checklists\/templates\/\d+\/clone$/, type: 'checklist_template', id: (match, body) => body?.template?.template_id, load: audit.row('checklist_templates', 'template_id') },
+    { method: 'POST', pattern: /^\/checklists\/templates\/\d+\/items$/, type: 'checklist_item', id: (match, body) => body?.item?.item_id, load: audit.row('checklist_items', 'item_id') },
+    { method: '*', pattern: /^\/checklists\/templates\/(\d+)(\/|$)/, type: 'checklist_template', load: audit.row('checklist_templates', 'template_id') },
+    { method: '*', pattern: /^\/checklists\/items\/(\d+)$/, type: 'checklist_item', load: audit.row('checklist_items', 'item_id') },
+    { method: 'POST', pattern: /^\/incidents$/, type: 'incident', id: (match, body) => body?.data?.incident_id, load: audit.row('incidents', 'incident_id') },
+    { method: 'POST', pattern: /^\/incidents\/upload-image$/, type: 'incident_image', id: () => null },
+    { method: '*', pattern: /^\/incidents\/(\d+)(\/|$)/, type: 'incident', load: audit.row('incidents', 'incident_id') }
+  ]
+}));
+
 // After creating pool, import and use workflows router
 const workflowRoutes = require('./routes/workflows')(pool);
 app.use('/api', workflowRoutes);
 
+// Recurring block templates
+const blockTemplateRoutes = require('./routes/blockTemplates')(pool, blockService);
+app.use('/api', blockTemplateRoutes);
+
+// Bulk block creation and week copy
+const blockRoutes = require('./routes/blocks')(pool, blockService);
+app.use('/api', blockRoutes);
+
+// Claiming, check-in / check-out
+const claimRoutes = require('./routes/claims')(pool, blockService, driverService);
+app.use('/api', claimRoutes);
+
+// Driver swap/drop marketplace for claimed blocks
+const swapRoutes = require('./routes/swaps')(pool, blockService, driverService);
+app.use('/api', swapRoutes);
+
+// Driver compliance and per-location claim rules
+const driverRoutes = require('./routes/drivers')(pool, blockService, driverService);
+app.use('/api', driverRoutes);
+
+// Driver payout statements and adjustments
+const payoutRoutes = require('./routes/payouts')(pool, blockService, payoutService);
+app.use('/api', payoutRoutes);
+
+// Incentive rules that raise amounts on unfilled blocks
+const incentiveRoutes = require('./routes/incentives')(pool, blockService, incentiveService);
+app.use('/api', incentiveRoutes);
+
+// Fill-rate and time-to-claim analytics
+const analyticsRoutes = require('./routes/analytics')(pool, blockService, analyticsService);
+app.use('/api', analyticsRoutes);
+
+// Read-only iCalendar feeds of store schedules
+const calendarRoutes = require('./routes/calendar')(pool, blockService);
+app.use('/api', calendarRoutes);
+
+// Franchise and area hierarchy with roll-up reporting
+const organizationRoutes = require('./routes/organizations')(pool, analyticsService);
+app.use('/api', organizationRoutes);
+
+// Store link approvals and FCODE attempt audit
+const storeLinkRoutes = require('./routes/storeLinks')(pool, storeLinkService);
+app.use('/api', storeLinkRoutes);
+
+// Manager invitations from general managers
+const invitationRoutes = require('./routes/invitations')(pool, storeLinkService);
+app.use('/api', invitationRoutes);
+
+// Manager deactivation and handover
+const offboardingRoutes = require('./routes/offboarding')(pool, storeLinkService);
+app.use('/api', offboardingRoutes);
+
+// Audit log queries for supervisors
+const auditRoutes = require('./routes/audit')(pool);
+app.use('/api', auditRoutes);
+
+// Checklist template and item management
+const checklistRoutes = require('./routes/checklists')(pool, checklistVersionService);
+app.use('/api', checklistRoutes);
+
 // Add coupon routes with rate limiting
 const couponRoutes = require('./routes/coupons');
 app.use('/api/coupons', couponLimiter, couponRoutes);
@@ -164,6 +417,11 @@ const intelligenceService = new StoreIntelligenceService(
   pool // Pass the database pool
 );
 
+// Staffing plans built from intelligence forecasts
+const staffingPlanService = new StaffingPlanService(pool, blockService, intelligenceService);
+const staffingRoutes = require('./routes/staffing')(pool, blockService, staffingPlanService);
+app.use('/api', staffingRoutes);
+
 // ✅ Health check
 app.get('/api/ping', (req, res) => {
   res.send('Manager backend is alive');
@@ -185,22 +443,38 @@ app.post('/api/verify-store', async (req, res) => {
   }
 
   try {
-    const checkQuery = `
-      SELECT store_id, city FROM locations
-      WHERE store_id = $1 AND LOWER(fcode) = LOWER($2)
-    `;
-    const checkResult = await pool.query(checkQuery, [storeId, fcode]);
+    const { lockout, match } = await storeLinkService.attemptLink({
+      managerId,
+      storeId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null
+    }, async (client) => {
+      const checkResult = await client.query(`
+        SELECT store_id, city, link_approval_policy FROM locations
+        WHERE store_id = $1 AND LOWER(fcode) = LOWER($2)
+      `, [storeId, fcode]);
+      return checkResult.rows[0] || null;
+    });
 
-    if (checkResult.rows.length === 0) {
-      return res.status(401).json({
+    if (lockout) {
+      console.warn(`⚠️ Store link attempt blocked for manager ${managerId}, store ${storeId} (${lockout.scope} lockout)`);
+      res.set('Retry-After', String(lockout.retryAfterSeconds));
+      return res.status(429).json({
         success: false,
-        message: 'FCODE PIN and Store ID do not match.'
+        message: 'Too many failed attempts. Please try again later.',
+        retryAfterSeconds: lockout.retryAfterSeconds
       });
     }
 
-    const store = checkResult.rows[0];
+    if (!match) {
+      return res.status(401).json({
+        success: false,
+        message: 'FCODE PIN and Store ID do not match.',
+        attemptsRemaining: await storeLinkService.getRemainingAttempts(managerId)
+      });
+    }
 
-    
+    const store = match;
 
     const existsQuery = `
       SELECT 1 FROM manager_store_links
@@ -219,11 +493,27 @@ app.post('/api/verify-store', async (req, res) => {
       });
     }
 
-    const insertQuery = `
-      INSERT INTO manager_store_links (manager_id, store_id, added_at)
-      VALUES ($1, $2, NOW())
-    `;
-    await pool.query(insertQuery, [managerId, store.store_id]);
+    // Stores in approval mode only link once a general manager signs off
+    if (store.link_approval_policy === 'approval') {
+      const { request, created } = await storeLinkService.requestLink(managerId, store.store_id);
+
+      if (created) {
+        console.log(`✅ Store link request ${request.request_id} created for manager ${managerId}, store ${store.store_id}`);
+      }
+
+      return res.status(202).json({
+        success: true,
+        pendingApproval: true,
+        requestId: request.request_id,
+        store: {
+          id: store.store_id,
+          city: store.city,
+        },
+        message: 'Link request sent to the store\'s general manager for approval',
+      });
+    }
+
+    await storeLinkService.createLink(pool, managerId, store.store_id);
 
     res.json({
       success: true,
@@ -298,6 +588,7 @@ bc.cancelled_by,
         CASE 
           WHEN lc.service_status = 'complete' THEN 'completed'
           WHEN lc.service_status = 'in_progress' THEN 'in_progress'
+          WHEN lc.service_status = 'no_show' THEN 'no_show'
           WHEN b.status = 'accepted' THEN 'accepted'
           WHEN b.status = 'expired' THEN 'expired'
           WHEN b.status = 'available' THEN 'available'
@@ -421,6 +712,8 @@ app.get('/api/location/:locationId/blocks/:blockId/details', async (req, res) =>
         bc.service_status,
         bc.check_in_time,
         bc.check_out_time,
+        bc.check_in_distance_meters,
+        bc.check_out_distance_meters,
         d.driver_id,
         d.first_name,
         d.last_name,
@@ -457,6 +750,52 @@ app.get('/api/location/:locationId/blocks/:blockId/details', async (req, res) =>
     }
 
     const row = result.rows[0];
+
+    // Rejected, overridden and unverified check-ins/outs for this claim
+    let geofenceExceptions = [];
+    if (row.claim_id) {
+      const exceptionsResult = await pool.query(`
+        SELECT
+          ge.exception_id,
+          ge.event_type,
+          ge.outcome,
+          ge.distance_meters,
+          ge.accuracy_meters,
+          ge.radius_meters,
+          ge.override_reason,
+          ge.created_at,
+          m.first_name || ' ' || m.last_name as overridden_by_name
+        FROM geofence_exceptions ge
+        LEFT JOIN managers m ON ge.overridden_by = m.manager_id
+        WHERE ge.claim_id = $1
+        ORDER BY ge.created_at
+      `, [row.claim_id]);
+
+      geofenceExceptions = exceptionsResult.rows.map(exception => ({
+        exceptionId: exception.exception_id,
+        eventType: exception.event_type,
+        outcome: exception.outcome,
+        distanceMeters: exception.distance_meters !== null ? parseFloat(exception.distance_meters) : null,
+        accuracyMeters: exception.accuracy_meters !== null ? parseFloat(exception.accuracy_meters) : null,
+        radiusMeters: exception.radius_meters !== null ? parseFloat(exception.radius_meters) : null,
+        overrideReason: exception.override_reason,
+        overriddenBy: exception.overridden_by_name,
+        createdAt: exception.created_at
+      }));
+    }
+
+    let rating = null;
+    if (row.claim_id) {
+      const ratingResult = await pool.query(
+        'SELECT punctuality, professionalism, notes, manager_id, created_at, updated_at FROM driver_ratings WHERE claim_id = $1',
+        [row.claim_id]
+      );
+      rating = ratingResult.rows[0] || null;
+    }
+
+    const reliability = row.driver_id
+      ? (await driverService.getReliabilityScores(pool, [row.driver_id])).get(row.driver_id)
+      : null;
     
     const block = {
       blockId: row.block_id,
@@ -487,6 +826,8 @@ app.get('/api/location/:locationId/blocks/:blockId/details', async (req, res) =>
         licenseValid: row.driver_license_expiration > new Date(),
         registrationValid: row.vehicle_registration_expiration > new Date(),
         insuranceValid: row.insurance_end > new Date(),
+        reliabilityScore: reliability ? reliability.score : null,
+        reliability
       } : null,
       carDetails: row.car_make ? {
         carMake: row.car_make,
@@ -497,8 +838,12 @@ app.get('/api/location/:locationId/blocks/:blockId/details', async (req, res) =>
       blockClaim: row.claim_id ? {
         checkInTime: row.check_in_time,
         checkOutTime: row.check_out_time,
-        serviceStatus: row.service_status
-      } : null
+        checkInDistanceMeters: row.check_in_distance_meters !== null ? parseFloat(row.check_in_distance_meters) : null,
+        checkOutDistanceMeters: row.check_out_distance_meters !== null ? parseFloat(row.check_out_distance_meters) : null,
+        serviceStatus: row.service_status,
+        rating
+      } : null,
+      geofenceExceptions
     };
 
     res.json({ success: true, block });
@@ -581,7 +926,126 @@ app.get('/api/location/:locationId/blocks/:blockId', async (req, res) => {
   }
 });
 
-// ✅ Get driver location for a claimed block
+const MAX_LOCATION_PINGS = 100;
+// Device clocks drift a little; queued pings uploaded after a dead zone can be hours old
+const MAX_PING_CLOCK_SKEW_MINUTES = 5;
+const MAX_PING_AGE_HOURS = 24;
+
+// Validates a single driver location ping. Returns an error message or null.
+const validateLocationPing = (ping) => {
+  const latitude = parseFloat(ping.latitude);
+  const longitude = parseFloat(ping.longitude);
+
+  if (isNaN(latitude) || latitude < -90 || latitude > 90) {
+    return 'latitude must be between -90 and 90';
+  }
+  if (isNaN(longitude) || longitude < -180 || longitude > 180) {
+    return 'longitude must be between -180 and 180';
+  }
+  if (ping.accuracy !== undefined && ping.accuracy !== null && !(parseFloat(ping.accuracy) >= 0)) {
+    return 'accuracy must be zero or a positive number of meters';
+  }
+  if (ping.recorded_at) {
+    const recordedAt = new Date(ping.recorded_at).getTime();
+    if (isNaN(recordedAt)) {
+      return 'Invalid recorded_at datetime format';
+    }
+    if (recordedAt > Date.now() + MAX_PING_CLOCK_SKEW_MINUTES * 60 * 1000) {
+      return 'recorded_at cannot be in the future';
+    }
+    if (recordedAt < Date.now() - MAX_PING_AGE_HOURS * 60 * 60 * 1000) {
+      return `recorded_at cannot be more than ${MAX_PING_AGE_HOURS} hours ago`;
+    }
+  }
+  return null;
+};
+
+// ✅ Ingest driver location pings for a claimed block (single ping or { pings: [...] })
+app.post('/api/drivers/:claimId/location', async (req, res) => {
+  const { claimId } = req.params;
+  const { driver_id } = req.body;
+  const pings = Array.isArray(req.body.pings) ? req.body.pings : [req.body];
+
+  if (!claimId || !driver_id) {
+    return res.status(400).json({ success: false, message: 'Missing claimId or driver_id' });
+  }
+
+  if (pings.length === 0 || pings.length > MAX_LOCATION_PINGS) {
+    return res.status(400).json({
+      success: false,
+      message: `Between 1 and ${MAX_LOCATION_PINGS} pings can be sent at once`
+    });
+  }
+
+  for (const ping of pings) {
+    const pingError = validateLocationPing(ping);
+    if (pingError) {
+      return res.status(400).json({ success: false, message: pingError });
+    }
+  }
+
+  try {
+    const claimResult = await pool.query(`
+      SELECT
+        bc.claim_id,
+        bc.driver_id,
+        bc.block_id,
+        bc.service_status,
+        bc.cancellation_type,
+        l.driver_tracking_supported
+      FROM block_claims bc
+      JOIN blocks b ON bc.block_id = b.block_id
+      JOIN locations l ON b.location_id = l.location_id
+      WHERE bc.claim_id = $1
+    `, [claimId]);
+
+    if (claimResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Claim not found' });
+    }
+
+    const claim = claimResult.rows[0];
+
+    if (String(claim.driver_id) !== String(driver_id)) {
+      return res.status(403).json({ success: false, message: 'Claim does not belong to this driver' });
+    }
+
+    if (!claim.driver_tracking_supported) {
+      return res.status(403).json({ success: false, message: 'Driver tracking is not supported at this location' });
+    }
+
+    if (claim.cancellation_type || ['complete', 'cancelled', 'no_show'].includes(claim.service_status)) {
+      return res.status(409).json({ success: false, message: 'Claim is no longer active' });
+    }
+
+    const values = [];
+    const placeholders = pings.map((ping, index) => {
+      const base = index * 7;
+      values.push(
+        claim.claim_id,
+        claim.driver_id,
+        claim.block_id,
+        parseFloat(ping.latitude),
+        parseFloat(ping.longitude),
+        ping.accuracy !== undefined && ping.accuracy !== null ? parseFloat(ping.accuracy) : null,
+        ping.recorded_at || new Date().toISOString()
+      );
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}::timestamptz, NOW())`;
+    });
+
+    await pool.query(`
+      INSERT INTO driver_locations (
+        claim_id, driver_id, block_id, latitude, longitude, accuracy_meters, recorded_at, received_at
+      ) VALUES ${placeholders.join(', ')}
+    `, values);
+
+    res.status(201).json({ success: true, received: pings.length });
+  } catch (err) {
+    console.error('❌ Error saving driver location:', err);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// ✅ Get driver location for a claimed block: latest position plus the trail for the block window
 app.get('/api/drivers/:claimId/location', async (req, res) => {
   const { claimId } = req.params;
 
@@ -596,10 +1060,17 @@ app.get('/api/drivers/:claimId/location', async (req, res) => {
         bc.driver_id,
         bc.block_id,
         bc.service_status,
+        bc.check_in_time,
+        bc.check_out_time,
+        b.start_time,
+        b.end_time,
+        l.driver_tracking_supported,
         d.first_name,
         d.last_name
       FROM block_claims bc
       JOIN drivers d ON bc.driver_id = d.driver_id
+      JOIN blocks b ON bc.block_id = b.block_id
+      JOIN locations l ON b.location_id = l.location_id
       WHERE bc.claim_id = $1
     `;
 
@@ -611,12 +1082,43 @@ app.get('/api/drivers/:claimId/location', async (req, res) => {
 
     const claim = claimResult.rows[0];
 
-    // For now, return mock data since you don't have a driver_locations table
-    // In production, you would query the actual location from your tracking system
+    if (!claim.driver_tracking_supported) {
+      return res.json({
+        success: true,
+        trackingSupported: false,
+        location: null,
+        trail: [],
+        message: 'Driver tracking is not supported at this location'
+      });
+    }
+
+    // Trail covers the block window, starting an hour early so the drive in is visible
+    const trailResult = await pool.query(`
+      SELECT latitude, longitude, accuracy_meters, recorded_at
+      FROM driver_locations
+      WHERE claim_id = $1
+        AND recorded_at >= $2::timestamptz - INTERVAL '1 hour'
+        AND recorded_at <= COALESCE($3::timestamptz, $4::timestamptz)
+      ORDER BY recorded_at
+    `, [claimId, claim.start_time, claim.check_out_time, claim.end_time]);
+
+    const trail = trailResult.rows.map(row => ({
+      latitude: parseFloat(row.latitude),
+      longitude: parseFloat(row.longitude),
+      accuracy: row.accuracy_meters !== null ? parseFloat(row.accuracy_meters) : null,
+      recordedAt: row.recorded_at.toISOString()
+    }));
+
     res.json({
       success: true,
-      location: null, // No location data available yet
-      message: 'Driver location tracking not yet implemented'
+      trackingSupported: true,
+      driver: {
+        driverId: claim.driver_id,
+        fullName: `${claim.first_name} ${claim.last_name}`
+      },
+      serviceStatus: claim.service_status,
+      location: trail.length > 0 ? trail[trail.length - 1] : null,
+      trail
     });
 
   } catch (err) {
@@ -666,79 +1168,22 @@ app.post('/api/blocks', async (req, res) => {
       throw new Error('End time must be after start time');
     }
 
-    // Verify manager exists and has access to this location
-    const managerCheckQuery = `
-      SELECT 
-        m.manager_id, 
-        m.first_name, 
-        m.last_name,
-        m.status,
-        msl.store_id,
-        l.location_id
-      FROM managers m
-      INNER JOIN manager_store_links msl ON m.manager_id = msl.manager_id
-      INNER JOIN locations l ON msl.store_id = l.store_id
-      WHERE m.manager_id = $1 AND l.location_id = $2
-    `;
-
-    const managerResult = await client.query(managerCheckQuery, [manager_id, location_id]);
-
-    if (managerResult.rowCount === 0) {
-      throw new Error('Manager does not have permission to create blocks for this location');
-    }
-
-    const manager = managerResult.rows[0];
-
-    // Check if manager is active
-    if (manager.status !== 'active') {
-      throw new Error('Manager account is not active');
-    }
+    // Verify manager exists, is active and has access to this location
+    const manager = await blockService.verifyManagerLocation(client, manager_id, location_id);
 
     // Insert the block with manager_id
-    const insertQuery = `
-      INSERT INTO blocks (
-        location_id, 
-        start_time, 
-        end_time, 
-        amount, 
-        status, 
-        date, 
-        device_local_time, 
-        device_timezone_offset,
-        device_time_zone_name,
-        manager_id,
-        created_at
-      )
-      VALUES (
-        $1,
-        $2::timestamptz,
-        $3::timestamptz,
-        $4,
-        $5,
-        $6::date,
-        $7,
-        $8,
-        $9,
-        $10,
-        NOW()
-      )
-      RETURNING block_id, start_time, end_time, manager_id
-    `;
-
-    const result = await client.query(insertQuery, [
+    const createdBlock = await blockService.insertBlock(client, {
       location_id,
       start_time,
       end_time,
       amount,
-      status || 'available',
+      status,
       date,
-      device_local_time || null,
-      device_timezone_offset || null,
-      device_time_zone_name || null,
+      device_local_time,
+      device_timezone_offset,
+      device_time_zone_name,
       manager_id
-    ]);
-
-    const createdBlock = result.rows[0];
+    });
 
     await client.query('COMMIT');
 
@@ -839,46 +1284,84 @@ app.get('/api/blocks', async (req, res) => {
 });
 
 // ✅ Delete block if unclaimed
+// managerId (query) is optional for older clients and recorded as the actor when present
 app.delete('/api/blocks/:blockId', async (req, res) => {
   const { blockId } = req.params;
+  const { managerId } = req.query;
 
   if (!blockId) {
     return res.status(400).json({ success: false, message: 'Missing blockId' });
   }
 
+  const client = await pool.connect();
+
   try {
     console.log('🧪 Deleting blockId:', blockId);
 
+    await client.query('BEGIN');
+
+    const blockResult = await client.query(`
+      SELECT block_id, location_id, start_time, end_time, amount, status,
+             to_char(date, 'YYYY-MM-DD') as date, manager_id, template_id
+      FROM blocks
+      WHERE block_id = $1
+      FOR UPDATE
+    `, [blockId]);
+
+    if (blockResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      console.warn('❌ No block found to delete for blockId:', blockId);
+      return res.status(404).json({ success: false, message: 'Block not found' });
+    }
+
+    const block = blockResult.rows[0];
+
+    if (managerId) {
+      const manager = await blockService.verifyManagerLocation(client, managerId, block.location_id);
+      blockService.verifyBlockOwnership(manager, block);
+    }
+
     const claimCheckQuery = `
       SELECT claim_id FROM block_claims
       WHERE block_id = $1
       ORDER BY claim_time DESC
       LIMIT 1
     `;
-    const { rows: claimRows } = await pool.query(claimCheckQuery, [blockId]);
+    const { rows: claimRows } = await client.query(claimCheckQuery, [blockId]);
 
     if (claimRows.length > 0) {
+      await client.query('ROLLBACK');
       console.log('⚠️ Block is claimed, claim_id:', claimRows[0].claim_id);
       return res.status(403).json({
         success: false,
-        message: 'Cannot delete block — it is already claimed',
+        message: 'Cannot delete block — it is already claimed. Use POST /api/blocks/:blockId/cancel instead.',
         claimId: claimRows[0].claim_id,
       });
     }
 
-    const deleteQuery = `DELETE FROM blocks WHERE block_id = $1`;
-    const result = await pool.query(deleteQuery, [blockId]);
+    await client.query('DELETE FROM blocks WHERE block_id = $1', [blockId]);
 
-    if (result.rowCount === 0) {
-      console.warn('❌ No block found to delete for blockId:', blockId);
-      return res.status(404).json({ success: false, message: 'Block not found' });
-    }
+    await blockService.recordHistory(client, {
+      blockId: block.block_id,
+      action: 'deleted',
+      changedBy: managerId || null,
+      actorType: managerId ? 'manager' : 'unknown',
+      before: block
+    });
+
+    await client.query('COMMIT');
 
     console.log('✅ Block deleted:', blockId);
     res.json({ success: true, message: 'Block deleted successfully' });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('❌ Error deleting block:', err.stack || err);
+    if (err.message && !err.code) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, message: 'Internal server error' });
+  } finally {
+    client.release();
   }
 });
 
@@ -998,8 +1481,9 @@ app.get('/api/my-stores', async (req, res) => {
     l.contactless_delivery,
     l.contactless_carryout,
     l.delivery_wait_time_reason,
-    l.carryout_wait_time_reason
-  FROM manager_store_links msl
+    l.carryout_wait_time_reason,
+    msl.access_type AS "accessType"
+  FROM manager_store_access msl
   JOIN locations l ON msl.store_id = l.store_id
   WHERE msl.manager_id = $1
 `;
@@ -1084,7 +1568,7 @@ app.get('/api/stores/:storeId/intelligence-data', async (req, res) => {
         l.time_zone_code as "timeZoneCode",
         l.store_latitude,
         l.store_longitude
-      FROM manager_store_links msl
+      FROM manager_store_access msl
       JOIN locations l ON msl.store_id = l.store_id
       WHERE msl.manager_id = $1 AND l.store_id = $2
     `;
@@ -1318,7 +1802,7 @@ app.post('/api/managers/clerk-login', async (req, res) => {
 
     // Then get manager details
     const managerQuery = `
-      SELECT m.manager_id, m.first_name, m.last_name, m.phone_number, m.status
+      SELECT m.manager_id, m.first_name, m.last_name, m.phone_number, m.status, m.role
       FROM managers m
       WHERE m.user_id = $1
     `;
@@ -1362,7 +1846,9 @@ app.post('/api/managers/clerk-login', async (req, res) => {
         firstName: manager.first_name,
         lastName: manager.last_name,
         email: user.email,
-        phone: manager.phone_number
+        phone: manager.phone_number,
+        role: manager.role,
+        permissions: getPermissions(manager.role)
       }
     });
   } catch (error) {
@@ -1589,6 +2075,58 @@ app.put('/api/managers/:managerId', async (req, res) => {
   }
 });
 
+// Change the role of another manager at one of your stores. Franchisees can hand out
+// roles below their own; admins any role.
+app.put('/api/stores/:storeId/managers/:managerId/role', async (req, res) => {
+  const { storeId, managerId } = req.params;
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ success: false, message: `role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  if (String(managerId) === String(req.manager.manager_id)) {
+    return res.status(403).json({ success: false, message: 'You cannot change your own role' });
+  }
+
+  try {
+    const targetResult = await pool.query(`
+      SELECT m.manager_id, m.role
+      FROM managers m
+      JOIN manager_store_links msl ON m.manager_id = msl.manager_id
+      WHERE m.manager_id = $1 AND msl.store_id = $2
+    `, [managerId, storeId]);
+
+    if (targetResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Manager not found at this store' });
+    }
+
+    const target = targetResult.rows[0];
+
+    if (!canAssignRole(req.manager.role, role) ||
+        (req.manager.role !== 'admin' && !canAssignRole(req.manager.role, target.role))) {
+      return res.status(403).json({ success: false, message: 'Your role does not allow this change' });
+    }
+
+    const result = await pool.query(`
+      UPDATE managers
+      SET role = $2, role_updated_by = $3, role_updated_at = NOW(), updated_at = NOW()
+      WHERE manager_id = $1
+      RETURNING manager_id, first_name, last_name, role
+    `, [managerId, role, req.manager.manager_id]);
+
+    console.log(`✅ Manager ${managerId} role changed from ${target.role} to ${role} by manager ${req.manager.manager_id}`);
+
+    res.json({
+      success: true,
+      manager: { ...result.rows[0], permissions: getPermissions(role) }
+    });
+  } catch (error) {
+    console.error('❌ Error updating manager role:', error);
+    res.status(500).json({ success: false, message: 'Failed to update manager role' });
+  }
+});
+
 // Get manager statistics
 app.get('/api/managers/:managerId/stats', async (req, res) => {
   const { managerId } = req.params;
@@ -1605,7 +2143,7 @@ app.get('/api/managers/:managerId/stats', async (req, res) => {
     // Get store count
     const storeCountQuery = `
       SELECT COUNT(DISTINCT store_id) as store_count 
-      FROM manager_store_links 
+      FROM manager_store_access 
       WHERE manager_id = $1
     `;
     const storeCountResult = await pool.query(storeCountQuery, [managerId]);
@@ -1619,6 +2157,7 @@ app.get('/api/managers/:managerId/stats', async (req, res) => {
         COUNT(CASE WHEN b.status = 'expired' THEN 1 END) as expired_blocks,
         COUNT(CASE WHEN bc.service_status = 'complete' THEN 1 END) as completed_blocks,
         COUNT(CASE WHEN bc.service_status = 'in_progress' THEN 1 END) as in_progress_blocks,
+        COUNT(CASE WHEN bc.service_status = 'no_show' THEN 1 END) as no_show_blocks,
         COALESCE(SUM(b.amount), 0) as total_amount
       FROM blocks b
       LEFT JOIN block_claims bc ON b.block_id = bc.block_id
@@ -1665,7 +2204,8 @@ app.get('/api/managers/:managerId/stats', async (req, res) => {
           available: parseInt(blockStatsResult.rows[0].available_blocks),
           expired: parseInt(blockStatsResult.rows[0].expired_blocks),
           completed: parseInt(blockStatsResult.rows[0].completed_blocks),
-          inProgress: parseInt(blockStatsResult.rows[0].in_progress_blocks)
+          inProgress: parseInt(blockStatsResult.rows[0].in_progress_blocks),
+          noShow: parseInt(blockStatsResult.rows[0].no_show_blocks)
         },
         totalAmount: parseFloat(blockStatsResult.rows[0].total_amount),
         recentActivity: recentBlocksResult.rows
@@ -1738,7 +2278,7 @@ app.get('/api/store-details/:storeId', async (req, res) => {
         l.time_zone_code as "timeZoneCode",
         l.store_latitude,
         l.store_longitude
-      FROM manager_store_links msl
+      FROM manager_store_access msl
       JOIN locations l ON msl.store_id = l.store_id
       WHERE msl.manager_id = $1 AND l.store_id = $2
     `;
@@ -1831,7 +2371,7 @@ app.get('/api/stores/:storeId/intelligence', async (req, res) => {
         l.*,
         msl.manager_id
       FROM locations l
-      JOIN manager_store_links msl ON l.store_id = msl.store_id
+      JOIN manager_store_access msl ON l.store_id = msl.store_id
       WHERE l.store_id = $1 AND msl.manager_id = $2
     `;
     const accessResult = await pool.query(accessQuery, [storeId, managerId]);
@@ -1915,19 +2455,21 @@ app.get('/api/test-intelligence/:storeId', async (req, res) => {
 
 // ==================== CHECKLIST ROUTES ====================
 
-// Get all checklist templates
+// Get all checklist templates (includeInactive=true for deactivated ones too)
 app.get('/api/checklists/templates', async (req, res) => {
+  const { includeInactive } = req.query;
+
   try {
     const templates = await pool.query(`
       SELECT 
         t.*,
         COUNT(i.item_id) as item_count
       FROM checklist_templates t
-      LEFT JOIN checklist_items i ON t.template_id = i.template_id
-      WHERE t.is_active = true
+      LEFT JOIN checklist_items i ON t.template_id = i.template_id AND i.is_active = true
+      WHERE ($1::boolean OR t.is_active = true)
       GROUP BY t.template_id
       ORDER BY t.category, t.name
-    `);
+    `, [includeInactive === 'true']);
     
     res.json({ success: true, templates: templates.rows });
   } catch (error) {
@@ -1939,13 +2481,14 @@ app.get('/api/checklists/templates', async (req, res) => {
 // Get checklist items for a template
 app.get('/api/checklists/templates/:templateId/items', async (req, res) => {
   const { templateId } = req.params;
+  const { includeInactive } = req.query;
   
   try {
     const items = await pool.query(`
       SELECT * FROM checklist_items
-      WHERE template_id = $1 AND is_active = true
+      WHERE template_id = $1 AND ($2::boolean OR is_active = true)
       ORDER BY sort_order, item_id
-    `, [templateId]);
+    `, [templateId, includeInactive === 'true']);
     
     res.json({ success: true, items: items.rows });
   } catch (error) {
@@ -1966,7 +2509,7 @@ app.get('/api/stores/:storeId/workflows', async (req, res) => {
   try {
     // Verify manager has access to this store
     const accessCheck = await pool.query(`
-      SELECT 1 FROM manager_store_links
+      SELECT 1 FROM manager_store_access
       WHERE manager_id = $1 AND store_id = $2
     `, [managerId, storeId]);
     
@@ -1985,7 +2528,7 @@ app.get('/api/stores/:storeId/workflows', async (req, res) => {
         m.first_name || ' ' || m.last_name as assigned_to_name
       FROM store_workflows w
       JOIN checklist_templates t ON w.template_id = t.template_id
-      LEFT JOIN checklist_items i ON t.template_id = i.template_id AND i.is_active = true
+      LEFT JOIN workflow_checklist_items i ON i.workflow_id = w.workflow_id
       LEFT JOIN workflow_completions c ON w.workflow_id = c.workflow_id AND c.item_id = i.item_id
       LEFT JOIN managers m ON w.assigned_to = m.manager_id
       WHERE w.store_id = $1 AND w.date = $2::date
@@ -2031,7 +2574,7 @@ app.post('/api/stores/:storeId/workflows/generate', async (req, res) => {
           COUNT(DISTINCT i.item_id) as total_items
         FROM store_workflows w
         JOIN checklist_templates t ON w.template_id = t.template_id
-        LEFT JOIN checklist_items i ON t.template_id = i.template_id AND i.is_active = true
+        LEFT JOIN workflow_checklist_items i ON i.workflow_id = w.workflow_id
         WHERE w.store_id = $1 
           AND w.date = $2::date
         GROUP BY w.workflow_id, t.template_id
@@ -2067,6 +2610,7 @@ app.post('/api/stores/:storeId/workflows/generate', async (req, res) => {
    
    const locationId = locationResult.rows[0].location_id;
    const workflowDate = date || new Date().toISOString().split('T')[0];
+   const version = await checklistVersionService.getCurrentVersion(pool, 13, managerId);
    
    // Insert morning checklist workflow
    const insertResult = await pool.query(`
@@ -2074,6 +2618,7 @@ app.post('/api/stores/:storeId/workflows/generate', async (req, res) => {
        store_id,
        location_id,
        template_id,
+       template_version_id,
        date,
        shift_type,
        status,
@@ -2084,11 +2629,11 @@ app.post('/api/stores/:storeId/workflows/generate', async (req, res) => {
        start_time,
        end_time
      ) VALUES (
-       $1, $2, 13, $3::date, 'opening', 'pending', $4, $5, 15, NOW(),
+       $1, $2, 13, $6, $3::date, 'opening', 'pending', $4, $5, $7, NOW(),
        $3::date + TIME '06:00:00',
        $3::date + TIME '11:00:00'
      ) RETURNING workflow_id`,
-     [storeId, locationId, workflowDate, managerId, managerId]
+     [storeId, locationId, workflowDate, managerId, managerId, version.version_id, version.total_points]
    );
    
    if (insertResult.rows.length > 0) {
@@ -2109,7 +2654,7 @@ app.post('/api/stores/:storeId/workflows/generate', async (req, res) => {
         COUNT(DISTINCT i.item_id) as total_items
       FROM store_workflows w
       JOIN checklist_templates t ON w.template_id = t.template_id
-      LEFT JOIN checklist_items i ON t.template_id = i.template_id AND i.is_active = true
+      LEFT JOIN workflow_checklist_items i ON i.workflow_id = w.workflow_id
       WHERE w.store_id = $1 
         AND w.date = $2::date
         AND w.assigned_to = $3
@@ -2192,12 +2737,12 @@ app.get('/api/workflows/:workflowId', async (req, res) => {
           WHEN c.completion_id IS NOT NULL THEN true 
           ELSE false 
         END as completed
-      FROM checklist_items i
+      FROM workflow_checklist_items i
       LEFT JOIN workflow_completions c ON i.item_id = c.item_id AND c.workflow_id = $1
       LEFT JOIN managers m ON c.completed_by = m.manager_id
-      WHERE i.template_id = $2 AND i.is_active = true
+      WHERE i.workflow_id = $1
       ORDER BY i.sort_order, i.item_id
-    `, [workflowId, workflow.template_id]);
+    `, [workflowId]);
     
     // Transform items to match frontend expectations
     const items = itemsResult.rows.map(item => ({
@@ -2317,10 +2862,9 @@ app.post('/api/workflows/:workflowId/complete', async (req, res) => {
         COUNT(DISTINCT CASE WHEN wc.is_compliant = true THEN wc.item_id END) as compliant_items,
         SUM(CASE WHEN wc.is_compliant = true THEN ci.point_value ELSE 0 END) as earned_points,
         SUM(ci.point_value) as total_points
-      FROM checklist_items ci
+      FROM workflow_checklist_items ci
       LEFT JOIN workflow_completions wc ON ci.item_id = wc.item_id AND wc.workflow_id = $1
-      WHERE ci.template_id = (SELECT template_id FROM store_workflows WHERE workflow_id = $1)
-        AND ci.is_active = true
+      WHERE ci.workflow_id = $1
     `, [workflowId]);
     
     const stats = complianceResult.rows[0];
@@ -2373,8 +2917,8 @@ app.post('/api/workflows/:workflowId/items/:itemId/complete', async (req, res) =
     
     // Get item details for validation
     const itemResult = await client.query(`
-      SELECT * FROM checklist_items WHERE item_id = $1
-    `, [itemId]);
+      SELECT * FROM workflow_checklist_items WHERE workflow_id = $1 AND item_id = $2
+    `, [workflowId, itemId]);
     
     if (itemResult.rows.length === 0) {
       throw new Error('Item not found');
@@ -2430,10 +2974,9 @@ WHERE workflow_id = $5 AND item_id = $6
       SELECT 
         COUNT(DISTINCT i.item_id) as total_items,
         COUNT(DISTINCT c.item_id) as completed_items
-      FROM checklist_items i
+      FROM workflow_checklist_items i
       LEFT JOIN workflow_completions c ON i.item_id = c.item_id AND c.workflow_id = $1
-      WHERE i.template_id = (SELECT template_id FROM store_workflows WHERE workflow_id = $1)
-        AND i.is_active = true
+      WHERE i.workflow_id = $1
     `, [workflowId]);
 
     const { total_items, completed_items } = completionCheck.rows[0];
@@ -2444,7 +2987,7 @@ WHERE workflow_id = $5 AND item_id = $6
       const pointsResult = await client.query(`
         SELECT SUM(ci.point_value) as total_earned
         FROM workflow_completions wc
-        JOIN checklist_items ci ON wc.item_id = ci.item_id
+        JOIN workflow_checklist_items ci ON ci.workflow_id = wc.workflow_id AND ci.item_id = wc.item_id
         WHERE wc.workflow_id = $1 AND wc.is_compliant = true
       `, [workflowId]);
       
@@ -2468,7 +3011,7 @@ WHERE workflow_id = $5 AND item_id = $6
       const partialPointsResult = await client.query(`
         SELECT SUM(ci.point_value) as partial_earned
         FROM workflow_completions wc
-        JOIN checklist_items ci ON wc.item_id = ci.item_id
+        JOIN workflow_checklist_items ci ON ci.workflow_id = wc.workflow_id AND ci.item_id = wc.item_id
         WHERE wc.workflow_id = $1 AND wc.is_compliant = true
       `, [workflowId]);
       
@@ -2599,7 +3142,7 @@ if (item.critical_violation && !isCompliant) {
         w.earned_points,
         w.total_points
       FROM store_workflows w
-      JOIN checklist_items i ON w.template_id = i.template_id AND i.is_active = true
+      JOIN workflow_checklist_items i ON i.workflow_id = w.workflow_id
       LEFT JOIN workflow_completions c ON w.workflow_id = c.workflow_id AND c.item_id = i.item_id
       WHERE w.workflow_id = $1
       GROUP BY w.workflow_id
@@ -2892,11 +3435,10 @@ app.get('/api/stores/:storeId/compliance', async (req, res) => {
         COUNT(DISTINCT i.item_id) as total_items,
         COUNT(DISTINCT CASE WHEN c.is_compliant = false THEN c.completion_id END) as non_compliant_items
       FROM store_workflows w
-      JOIN checklist_items i ON i.template_id = w.template_id
+      JOIN workflow_checklist_items i ON i.workflow_id = w.workflow_id
       LEFT JOIN workflow_completions c ON c.workflow_id = w.workflow_id AND c.item_id = i.item_id
       WHERE w.store_id = $1 
         AND w.date >= COALESCE($2::date, CURRENT_DATE - INTERVAL '7 days')
-        AND i.is_active = true
       GROUP BY i.category
     `, [storeId, startDate || null]);
     
@@ -3049,9 +3591,8 @@ app.post('/api/waste-logs', async (req, res) => {
 
 // POST /api/temperature-logs
 // POST /api/temperature-logs
-app.post('/api/temperature-logs', upload.single('photo'), async (req, res) => {
+app.post('/api/temperature-logs', upload.single('photo'), auth.verifyMultipartBody, async (req, res) => {
   console.log('Temperature log endpoint hit');
-  console.log('Headers:', req.headers);
   console.log('Body:', req.body);
   console.log('File:', req.file);
   
@@ -3077,8 +3618,8 @@ app.post('/api/temperature-logs', upload.single('photo'), async (req, res) => {
   try {
     // Check if temperature is compliant
     const itemResult = await pool.query(
-      'SELECT min_value, max_value FROM checklist_items WHERE item_id = $1',
-      [item_id]
+      'SELECT min_value, max_value FROM workflow_checklist_items WHERE workflow_id = $1 AND item_id = $2',
+      [workflow_id, item_id]
     );
     
     const item = itemResult.rows[0];
@@ -3165,7 +3706,7 @@ app.post('/api/temperature-logs', upload.single('photo'), async (req, res) => {
 });
 
 // POST /api/temperature-logs/:logId/photos - Add additional photos to existing log
-app.post('/api/temperature-logs/:logId/photos', upload.single('photo'), async (req, res) => {
+app.post('/api/temperature-logs/:logId/photos', upload.single('photo'), auth.verifyMultipartBody, async (req, res) => {
   const { logId } = req.params;
   const { uploaded_by } = req.body;
   
@@ -3236,18 +3777,20 @@ for (const store of stores.rows) {
     );
     
     if (existingCheck.rows[0].count === 0) {
+      const version = await checklistVersionService.getCurrentVersion(pool, 13);
+
       // Create morning checklist workflow
       await pool.query(`
         INSERT INTO store_workflows (
-          store_id, location_id, template_id, date, shift_type,
+          store_id, location_id, template_id, template_version_id, date, shift_type,
           status, created_by, assigned_to, total_points, created_at,
           start_time, end_time
         ) VALUES (
-          $1, $2, 13, CURRENT_DATE, 'opening', 'pending', $3, $3, 15, NOW(),
+          $1, $2, 13, $4, CURRENT_DATE, 'opening', 'pending', $3, $3, $5, NOW(),
           CURRENT_DATE + TIME '06:00:00',
           CURRENT_DATE + TIME '11:00:00'
         )`,
-        [store.store_id, store.location_id, store.manager_id]
+        [store.store_id, store.location_id, store.manager_id, version.version_id, version.total_points]
       );
       console.log(`✅ Generated morning checklist for store ${store.store_id}`);
     }
@@ -3262,6 +3805,75 @@ console.log('Daily workflow generation completed');
 });
 
 
+// Publish recurring block templates at 3 AM daily
+cron.schedule('0 3 * * *', async () => {
+  console.log('Publishing recurring block templates...');
+  try {
+    const daysAhead = parseInt(process.env.BLOCK_TEMPLATE_DAYS_AHEAD) || 14;
+    const created = await blockService.publishActiveTemplates(daysAhead);
+    console.log(`Block template publishing completed, ${created} blocks created`);
+  } catch (error) {
+    console.error('Block template cron error:', error);
+  }
+});
+
+// Expire unclaimed blocks and flag no-shows every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const graceMinutes = parseInt(process.env.NO_SHOW_GRACE_MINUTES) || 15;
+    const lookbackHours = parseInt(process.env.NO_SHOW_LOOKBACK_HOURS) || 24;
+    const { expired, noShows, expiredSwaps } = await blockService.expireBlocksAndFlagNoShows(graceMinutes, lookbackHours);
+    if (expired > 0 || noShows > 0 || expiredSwaps > 0) {
+      console.log(`Block expiration job: ${expired} blocks expired, ${noShows} no-shows flagged, ${expiredSwaps} swap offers expired`);
+    }
+  } catch (error) {
+    console.error('Block expiration cron error:', error);
+  }
+});
+
+// Prune driver location pings past the retention window at 2 AM daily
+cron.schedule('0 2 * * *', async () => {
+  try {
+    const retentionDays = parseInt(process.env.DRIVER_LOCATION_RETENTION_DAYS) || 30;
+    const result = await pool.query(
+      `DELETE FROM driver_locations WHERE recorded_at < NOW() - ($1 || ' days')::interval`,
+      [retentionDays]
+    );
+    console.log(`Driver location retention: ${result.rowCount} pings older than ${retentionDays} days removed`);
+  } catch (error) {
+    console.error('Driver location retention cron error:', error);
+  }
+});
+
+// Raise driver credential expiry alerts at 6 AM daily. They're stored in
+// driver_credential_alerts, where managers see them through
+// GET /api/locations/:locationId/credential-alerts until acknowledged.
+cron.schedule('0 6 * * *', async () => {
+  try {
+    const alerts = await driverService.raiseCredentialAlerts();
+    alerts.forEach(alert => {
+      const when = alert.threshold_days === 0 ? 'has lapsed' : `expires within ${alert.threshold_days} days`;
+      console.warn(`⚠️ Driver ${alert.driver_id} ${alert.credential_type} ${when} (${alert.expires_on})`);
+    });
+    console.log(`Driver credential check completed, ${alerts.length} new alerts`);
+  } catch (error) {
+    console.error('Driver credential cron error:', error);
+  }
+});
+
+// Apply incentive rules to unfilled blocks every 10 minutes
+cron.schedule('*/10 * * * *', async () => {
+  try {
+    const bumps = await incentiveService.applyIncentiveRules();
+    if (bumps.length > 0) {
+      console.log(`Incentive job: ${bumps.length} blocks raised`);
+    }
+  } catch (error) {
+    console.error('Incentive cron error:', error);
+  }
+});
+
+
 /// ==================== INCIDENT MANAGEMENT ROUTES (UPDATED - NO HARDCODED DATA) ====================
 
 // UUID generator function
@@ -3374,7 +3986,7 @@ function parseImagesJson(images) {
 }
 
 // POST /api/incidents/upload-image - Upload incident image to GCP
-app.post('/api/incidents/upload-image', upload.single('image'), async (req, res) => {
+app.post('/api/incidents/upload-image', upload.single('image'), auth.verifyMultipartBody, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -3559,10 +4171,10 @@ app.get('/api/incidents', async (req, res) => {
       limit = 20
     } = req.query;
 
-    // Build WHERE clause
-    let whereClause = 'WHERE 1=1';
-    const params = [];
-    let paramIndex = 1;
+    // Build WHERE clause, limited to the signed-in manager's stores
+    let whereClause = 'WHERE store_id IN (SELECT store_id FROM manager_store_access WHERE manager_id = $1)';
+    const params = [req.manager.manager_id];
+    let paramIndex = 2;
 
     if (store_id) {
       whereClause += ` AND store_id = $${paramIndex}`;
@@ -3800,8 +4412,9 @@ app.post('/api/incidents', async (req, res) => {
         images,
         created_at,
         updated_at,
-        created_by
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+        created_by,
+        assigned_to
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
       RETURNING *
     `;
 
@@ -3822,7 +4435,8 @@ app.post('/api/incidents', async (req, res) => {
       JSON.stringify(processedImages),
       new Date(),
       new Date(),
-      req.body.created_by || 'system'
+      req.body.created_by || 'system',
+      req.manager.manager_id
     ];
 
     const result = await pool.query(query, values);
@@ -3897,6 +4511,25 @@ app.put('/api/incidents/:id', async (req, res) => {
       }
     }
 
+    // Postgres would cast strings like 'false' or '0', which would slip past the check below
+    if (updateData.escalation_required !== undefined && typeof updateData.escalation_required !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'escalation_required must be true or false'
+      });
+    }
+
+    // Escalated incidents can only be closed or de-escalated by a supervisor
+    const deEscalating = updateData.escalation_required === false;
+    if (currentIncident.escalation_required &&
+        (updateData.status === 'closed' || deEscalating) &&
+        !can(req.manager.role, 'incidents.close_escalated')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only an area supervisor or above can close an escalated incident'
+      });
+    }
+
     // Validate category and subtype if being updated
     if (updateData.category || updateData.subtype) {
       const categoryToCheck = updateData.category || currentIncident.category;
@@ -4008,10 +4641,10 @@ app.get('/api/incidents/stats/summary', async (req, res) => {
   try {
     const { store_id, start_date, end_date } = req.query;
     
-    // Build WHERE clause
-    let whereClause = 'WHERE 1=1';
-    const params = [];
-    let paramIndex = 1;
+    // Build WHERE clause, limited to the signed-in manager's stores
+    let whereClause = 'WHERE store_id IN (SELECT store_id FROM manager_store_access WHERE manager_id = $1)';
+    const params = [req.manager.manager_id];
+    let paramIndex = 2;
 
     if (store_id) {
       whereClause += ` AND store_id = $${paramIndex}`;
@@ -4131,9 +4764,9 @@ app.get('/api/incidents/escalated', async (req, res) => {
   try {
     const { status, store_id, limit = 50 } = req.query;
     
-    let whereClause = 'WHERE escalation_required = true';
-    const params = [];
-    let paramIndex = 1;
+    let whereClause = 'WHERE escalation_required = true AND store_id IN (SELECT store_id FROM manager_store_access WHERE manager_id = $1)';
+    const params = [req.manager.manager_id];
+    let paramIndex = 2;
 
     if (status) {
       whereClause += ` AND status = $${paramIndex}`;
@@ -4202,6 +4835,14 @@ app.delete('/api/incidents/:id', async (req, res) => {
       });
     }
 
+    // Deleting an escalated incident would get around the supervisor-only close
+    if (checkResult.rows[0].escalation_required && !can(req.manager.role, 'incidents.close_escalated')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only an area supervisor or above can delete an escalated incident'
+      });
+    }
+
     // Soft delete by setting status to 'deleted' and adding deletion notes
     const deleteQuery = `
       UPDATE incidents 
@@ -4238,7 +4879,7 @@ app.delete('/api/incidents/:id', async (req, res) => {
 });
 
 // POST /api/incidents/:id/images - Add image to existing incident
-app.post('/api/incidents/:id/images', upload.single('image'), async (req, res) => {
+app.post('/api/incidents/:id/images', upload.single('image'), auth.verifyMultipartBody, async (req, res) => {
   try {
     const { id } = req.params;
     const { managerId } = req.body;
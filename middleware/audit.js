@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Field-level differences between two snapshots, or null when nothing changed
+const diff = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    const beforeValue = before ? before[key] : undefined;
+    const afterValue = after ? after[key] : undefined;
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes[key] = { before: beforeValue ?? null, after: afterValue ?? null };
+    }
+  });
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// First of `keys` present on a row, for tables whose primary key varies
+const pickId = (row, keys) => {
+  if (!row) return null;
+  const key = keys.find(candidate => row[candidate] !== undefined && row[candidate] !== null);
+  return key ? String(row[key]) : null;
+};
+
+module.exports = (pool) => {
+  // Loader for `rules`: the row of `table` whose `key` equals the entity ID
+  const row = (table, key) => async (id) => {
+    const result = await pool.query(`SELECT * FROM ${table} WHERE ${key} = $1`, [id]);
+    return result.rows[0] || null;
+  };
+
+  const resolveStoreId = async (snapshot) => {
+    if (!snapshot) return null;
+    if (snapshot.store_id) return snapshot.store_id;
+
+    if (snapshot.location_id) {
+      const result = await pool.query('SELECT store_id FROM locations WHERE location_id = $1', [snapshot.location_id]);
+      return result.rows[0]?.store_id || null;
+    }
+
+    if (snapshot.workflow_id) {
+      const result = await pool.query('SELECT store_id FROM store_workflows WHERE workflow_id = $1', [snapshot.workflow_id]);
+      return result.rows[0]?.store_id || null;
+    }
+
+    return null;
+  };
+
+  // Only signed-in managers and drivers are named; a driver_id in the request body is
+  // self-reported and never taken as the actor
+  const getActor = (req) => {
+    if (req.manager) {
+      return { type: 'manager', id: req.manager.manager_id };
+    }
+
+    if (req.driver) {
+      return { type: 'driver', id: req.driver.driver_id };
+    }
+
+    return { type: 'anonymous', id: null };
+  };
+
+  // Tags every request with a request ID and records each mutating call once the
+  // response has gone out. `rules` are { method, pattern, type, id?, load?, created? }:
+  // id(match, responseBody) defaults to the first capture group, load(id) snapshots the
+  // entity before and after the handler so the change can be diffed, and created(body)
+  // picks the new row out of the response for tables we don't reload.
+  const recorder = ({ rules }) => async (req, res, next) => {
+    req.requestId = String(req.get('x-request-id') || crypto.randomUUID()).slice(0, 64);
+    res.set('X-Request-Id', req.requestId);
+
+    if (!MUTATING_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    const path = req.baseUrl + req.path;
+    let rule = null;
+    let match = null;
+    for (const candidate of rules || []) {
+      if (candidate.method !== '*' && candidate.method !== req.method) continue;
+      match = req.path.match(candidate.pattern);
+      if (match) {
+        rule = candidate;
+        break;
+      }
+    }
+
+    const getEntityId = (body) => {
+      if (!rule) return null;
+      const id = rule.id ? rule.id(match, body) : match[1];
+      return id === undefined || id === null ? null : String(id);
+    };
+
+    let before = null;
+    const beforeId = getEntityId(undefined);
+    if (rule && rule.load && beforeId) {
+      try {
+        before = await rule.load(beforeId);
+      } catch (err) {
+        console.error('❌ Error loading audit snapshot:', err);
+      }
+    }
+
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      // Unauthenticated calls are turned away before they change anything
+      if (res.statusCode === 401) return;
+
+      try {
+        const entityId = getEntityId(responseBody);
+        let after = null;
+
+        if (rule && res.statusCode < 400) {
+          if (rule.load && entityId) {
+            after = await rule.load(entityId);
+          } else if (rule.created && responseBody) {
+            after = rule.created(responseBody) || null;
+          }
+        }
+
+        const changes = rule && (rule.load || rule.created) && res.statusCode < 400 ? diff(before, after) : null;
+        const actor = getActor(req);
+        const storeId = await resolveStoreId(after || before);
+
+        await pool.query(`
+          INSERT INTO audit_log (
+            request_id, actor_type, actor_id, clerk_user_id, method, path, status_code,
+            entity_type, entity_id, store_id, changes, before_data, after_data, ip_address
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        `, [
+          req.requestId,
+          actor.type,
+          actor.id,
+          req.auth ? req.auth.clerkUserId : null,
+          req.method,
+          path,
+          res.statusCode,
+          rule ? rule.type : null,
+          entityId,
+          storeId,
+          changes ? JSON.stringify(changes) : null,
+          before && res.statusCode < 400 ? JSON.stringify(before) : null,
+          after ? JSON.stringify(after) : null,
+          req.ip || null
+        ]);
+      } catch (err) {
+        console.error('❌ Error writing audit log:', err);
+      }
+    });
+
+    next();
+  };
+
+  return {
+    recorder,
+    row,
+    pickId
+  };
+};
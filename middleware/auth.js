@@ -0,0 +1,433 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const { can } = require('../permissions');
+
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+const JWKS_REFRESH_COOLDOWN_MS = 60 * 1000;
+
+// Request fields that name the acting manager. With a manager signed in they must
+// match the token; missing ones are filled in so handlers can keep reading them.
+const QUERY_MANAGER_FIELDS = ['managerId'];
+const BODY_MANAGER_FIELDS = ['managerId', 'manager_id'];
+// Checked but never filled, since handlers treat their presence as meaningful
+const BODY_ACTOR_FIELDS = ['completed_by', 'logged_by', 'created_by'];
+const MANAGER_PATH = /^\/managers\/(\d+)(\/|$)/;
+
+const CLERK_ID_FIELDS = ['clerkUserId', 'clerk_user_id'];
+
+// Driver named in a driver app request; must match (and is filled from) the signed-in driver
+const DRIVER_FIELDS = ['driver_id'];
+const CLERK_ID_PATH = /^\/managers\/clerk\/([^/]+)$/;
+
+// Stores and locations named in a request must be linked to the manager
+const STORE_FIELDS = ['store_id', 'storeId'];
+const LOCATION_FIELDS = ['location_id', 'locationId'];
+
+const authError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Express 5 re-parses req.query on every access, so overrides have to replace the getter
+const setQuery = (req, query) => {
+  Object.defineProperty(req, 'query', { value: query, writable: true, configurable: true, enumerable: true });
+};
+
+const matchesRoute = (routes, req) =>
+  (routes || []).some(([method, pattern]) => (method === '*' || method === req.method) && pattern.test(req.path));
+
+module.exports = (pool) => {
+  let jwksCache = null;
+  let lastRemoteFetch = 0;
+
+  const toKeyMap = (jwks) => {
+    const keys = new Map();
+    (jwks.keys || []).forEach(jwk => {
+      if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) return;
+      keys.set(jwk.kid || null, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    });
+    return keys;
+  };
+
+  // Keys come from CLERK_JWKS (inline JSON), CLERK_JWKS_PATH (a file, handy for
+  // offline testing), CLERK_JWT_KEY (PEM) or CLERK_JWKS_URL (fetched and cached)
+  const loadKeys = async (forceRefresh = false) => {
+    if (process.env.CLERK_JWKS) {
+      return toKeyMap(JSON.parse(process.env.CLERK_JWKS));
+    }
+
+    if (process.env.CLERK_JWKS_PATH) {
+      return toKeyMap(JSON.parse(fs.readFileSync(process.env.CLERK_JWKS_PATH, 'utf8')));
+    }
+
+    if (process.env.CLERK_JWT_KEY) {
+      return new Map([[null, crypto.createPublicKey(process.env.CLERK_JWT_KEY.replace(/\\n/g, '\n'))]]);
+    }
+
+    if (process.env.CLERK_JWKS_URL) {
+      const now = Date.now();
+      const stale = !jwksCache || now - jwksCache.fetchedAt > JWKS_CACHE_MS;
+      const canRefresh = now - lastRemoteFetch > JWKS_REFRESH_COOLDOWN_MS;
+
+      if (stale || (forceRefresh && canRefresh)) {
+        lastRemoteFetch = now;
+        const response = await axios.get(process.env.CLERK_JWKS_URL, { timeout: 5000 });
+        jwksCache = { keys: toKeyMap(response.data), fetchedAt: now };
+      }
+      return jwksCache.keys;
+    }
+
+    throw authError(500, 'Authentication is not configured');
+  };
+
+  const getSigningKey = async (kid) => {
+    let keys = await loadKeys();
+    if (!keys.has(kid || null) && !keys.has(null)) {
+      // Clerk may have rotated keys since the last fetch
+      keys = await loadKeys(true);
+    }
+    return keys.get(kid || null) || keys.get(null) || null;
+  };
+
+  // Verifies a Clerk session JWT (RS256) and returns its claims
+  const verifyToken = async (token) => {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+      throw authError(401, 'Malformed token');
+    }
+
+    let header;
+    let payload;
+    try {
+      header = decodeSegment(parts[0]);
+      payload = decodeSegment(parts[1]);
+    } catch (err) {
+      throw authError(401, 'Malformed token');
+    }
+
+    if (header.alg !== 'RS256') {
+      throw authError(401, 'Unsupported token algorithm');
+    }
+
+    const key = await getSigningKey(header.kid);
+    if (!key) {
+      throw authError(401, 'Unknown signing key');
+    }
+
+    const validSignature = crypto.verify(
+      'sha256',
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      key,
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!validSignature) {
+      throw authError(401, 'Invalid token signature');
+    }
+
+    const skew = parseInt(process.env.CLERK_CLOCK_SKEW_SECONDS) || 5;
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof payload.exp !== 'number' || payload.exp + skew < now) {
+      throw authError(401, 'Token expired');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - skew > now) {
+      throw authError(401, 'Token not yet valid');
+    }
+    if (process.env.CLERK_ISSUER && payload.iss !== process.env.CLERK_ISSUER) {
+      throw authError(401, 'Invalid token issuer');
+    }
+
+    const authorizedParties = (process.env.CLERK_AUTHORIZED_PARTIES || '')
+      .split(',').map(party => party.trim()).filter(Boolean);
+    if (authorizedParties.length > 0 && payload.azp && !authorizedParties.includes(payload.azp)) {
+      throw authError(401, 'Invalid token origin');
+    }
+
+    if (!payload.sub) {
+      throw authError(401, 'Token has no subject');
+    }
+
+    return payload;
+  };
+
+  // Same users -> managers lookup as /api/managers/clerk-login
+  const resolveManager = async (clerkUserId) => {
+    const result = await pool.query(`
+      SELECT
+        m.manager_id,
+        m.first_name,
+        m.last_name,
+        m.phone_number,
+        m.status,
+        m.role,
+        u.user_id,
+        u.email,
+        u.role as user_role
+      FROM users u
+      JOIN managers m ON m.user_id = u.user_id
+      WHERE u.clerk_user_id = $1
+    `, [clerkUserId]);
+
+    if (result.rows.length === 0) {
+      throw authError(403, 'Manager profile not found');
+    }
+
+    const manager = result.rows[0];
+    if (manager.status !== 'active') {
+      throw authError(403, 'Manager account is not active');
+    }
+
+    return manager;
+  };
+
+  // Driver app sessions map to drivers.clerk_user_id. Returns null for non-drivers.
+  const resolveDriver = async (clerkUserId) => {
+    const result = await pool.query(
+      'SELECT driver_id, first_name, last_name FROM drivers WHERE clerk_user_id = $1',
+      [clerkUserId]
+    );
+    return result.rows[0] || null;
+  };
+
+  const hasStoreAccess = async (managerId, storeId) => {
+    const result = await pool.query(
+      'SELECT 1 FROM manager_store_access WHERE manager_id = $1 AND store_id = $2',
+      [managerId, storeId]
+    );
+    return result.rows.length > 0;
+  };
+
+  const hasLocationAccess = async (managerId, locationId) => {
+    const result = await pool.query(`
+      SELECT 1
+      FROM manager_store_access msl
+      JOIN locations l ON msl.store_id = l.store_id
+      WHERE msl.manager_id = $1 AND l.location_id = $2
+    `, [managerId, locationId]);
+    return result.rows.length > 0;
+  };
+
+  // Rejects caller-supplied manager IDs that aren't the signed-in manager and,
+  // when fill is set, fills in the missing ones
+  const applyManagerIdentity = (req, fill) => {
+    const managerId = String(req.manager.manager_id);
+    const mismatch = (value) => value !== undefined && value !== null && value !== '' && String(value) !== managerId;
+
+    const pathMatch = req.path.match(MANAGER_PATH);
+    if (pathMatch && pathMatch[1] !== managerId) {
+      throw authError(403, 'Access denied to this manager');
+    }
+
+    const query = { ...req.query };
+    if (QUERY_MANAGER_FIELDS.some(field => mismatch(query[field]))) {
+      throw authError(403, 'managerId does not match the signed-in manager');
+    }
+
+    if (isPlainObject(req.body)) {
+      if ([...BODY_MANAGER_FIELDS, ...BODY_ACTOR_FIELDS].some(field => mismatch(req.body[field]))) {
+        throw authError(403, 'Manager in request does not match the signed-in manager');
+      }
+    }
+
+    if (fill) {
+      QUERY_MANAGER_FIELDS.forEach(field => { query[field] = managerId; });
+      setQuery(req, query);
+
+      if (isPlainObject(req.body)) {
+        BODY_MANAGER_FIELDS.forEach(field => { req.body[field] = req.manager.manager_id; });
+      }
+    }
+  };
+
+  const applyDriverIdentity = (req) => {
+    const driverId = String(req.driver.driver_id);
+    const mismatch = (value) => value !== undefined && value !== null && value !== '' && String(value) !== driverId;
+    const query = { ...req.query };
+
+    if (DRIVER_FIELDS.some(field => mismatch(query[field])) ||
+        (isPlainObject(req.body) && DRIVER_FIELDS.some(field => mismatch(req.body[field])))) {
+      throw authError(403, 'driver_id does not match the signed-in driver');
+    }
+
+    DRIVER_FIELDS.forEach(field => { query[field] = driverId; });
+    setQuery(req, query);
+
+    if (isPlainObject(req.body)) {
+      DRIVER_FIELDS.forEach(field => { req.body[field] = req.driver.driver_id; });
+    }
+  };
+
+  const applyClerkIdentity = (req) => {
+    const clerkUserId = req.auth.clerkUserId;
+    const mismatch = (value) => value !== undefined && value !== null && value !== '' && value !== clerkUserId;
+
+    const pathMatch = req.path.match(CLERK_ID_PATH);
+    if (pathMatch && decodeURIComponent(pathMatch[1]) !== clerkUserId) {
+      throw authError(403, 'Access denied to this user');
+    }
+
+    const query = { ...req.query };
+    if (CLERK_ID_FIELDS.some(field => mismatch(query[field])) ||
+        (isPlainObject(req.body) && CLERK_ID_FIELDS.some(field => mismatch(req.body[field])))) {
+      throw authError(403, 'Clerk user does not match the signed-in user');
+    }
+
+    CLERK_ID_FIELDS.forEach(field => { query[field] = clerkUserId; });
+    setQuery(req, query);
+
+    if (isPlainObject(req.body)) {
+      CLERK_ID_FIELDS.forEach(field => { req.body[field] = clerkUserId; });
+    }
+  };
+
+  // Every store or location the request points at must be linked to the manager
+  const checkScopes = async (req, scopes) => {
+    const managerId = req.manager.manager_id;
+    const sources = [req.query, isPlainObject(req.body) ? req.body : {}];
+    const storeIds = new Set();
+    const locationIds = new Set();
+
+    sources.forEach(source => {
+      STORE_FIELDS.forEach(field => {
+        if (source[field] !== undefined && source[field] !== null && source[field] !== '') storeIds.add(String(source[field]));
+      });
+      LOCATION_FIELDS.forEach(field => {
+        if (source[field] !== undefined && source[field] !== null && source[field] !== '') locationIds.add(String(source[field]));
+      });
+    });
+
+    for (const scope of scopes || []) {
+      const resolved = await scope(req);
+      if (resolved && resolved.storeId) storeIds.add(String(resolved.storeId));
+      if (resolved && resolved.locationId) locationIds.add(String(resolved.locationId));
+    }
+
+    for (const storeId of storeIds) {
+      if (!(await hasStoreAccess(managerId, storeId))) {
+        throw authError(403, 'Access denied to this store');
+      }
+    }
+
+    for (const locationId of locationIds) {
+      if (!/^\d+$/.test(locationId) || !(await hasLocationAccess(managerId, locationId))) {
+        throw authError(403, 'Access denied to this location');
+      }
+    }
+  };
+
+  // First matching [method, pattern, permission] rule decides; unlisted routes only need a manager
+  const checkPermission = (req, rules) => {
+    const rule = (rules || []).find(([method, pattern]) =>
+      (method === '*' || method === req.method) && pattern.test(req.path));
+
+    if (rule && !can(req.manager.role, rule[2])) {
+      throw authError(403, 'Your role does not allow this action');
+    }
+  };
+
+  const sendError = (res, err) => {
+    if (err.status) {
+      if (err.status >= 500) console.error('❌ Authentication error:', err.message);
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('❌ Authentication error:', err);
+    res.status(500).json({ success: false, message: 'Authentication failed' });
+  };
+
+  const getBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  };
+
+  const hasManagerIdentity = (req) =>
+    QUERY_MANAGER_FIELDS.some(field => req.query[field] !== undefined) ||
+    (isPlainObject(req.body) && [...BODY_MANAGER_FIELDS, ...BODY_ACTOR_FIELDS].some(field => req.body[field] !== undefined));
+
+  // Authenticates every /api request except publicRoutes. onboardingRoutes only need a
+  // Clerk session; driverRoutes serve the driver app and accept a driver's Clerk session
+  // (or a manager's, when the request names a manager). With DRIVER_AUTH_MODE=legacy,
+  // driver routes without a token still pass while the app is rolled over; their
+  // driver_id is self-reported and req.driver stays unset. scopes resolve path-bound
+  // resources (a workflow, an incident) to the store or location they belong to. Routes
+  // in unscopedRoutes may name stores the manager isn't linked to yet. permissions maps
+  // routes to entries of the role matrix in permissions.js.
+  const guard = ({ publicRoutes, onboardingRoutes, driverRoutes, unscopedRoutes, scopes, permissions }) => async (req, res, next) => {
+    if (matchesRoute(publicRoutes, req)) {
+      return next();
+    }
+
+    const token = getBearerToken(req);
+    const isDriverRoute = matchesRoute(driverRoutes, req);
+
+    if (isDriverRoute && !token && !hasManagerIdentity(req) && process.env.DRIVER_AUTH_MODE === 'legacy') {
+      return next();
+    }
+
+    try {
+      if (!token) {
+        throw authError(401, 'Missing bearer token');
+      }
+
+      const claims = await verifyToken(token);
+      req.auth = { clerkUserId: claims.sub, sessionId: claims.sid || null, claims };
+
+      if (isDriverRoute && !hasManagerIdentity(req)) {
+        const driver = await resolveDriver(claims.sub);
+        if (driver) {
+          req.driver = driver;
+          applyDriverIdentity(req);
+          return next();
+        }
+      }
+
+      if (matchesRoute(onboardingRoutes, req)) {
+        applyClerkIdentity(req);
+        return next();
+      }
+
+      req.manager = await resolveManager(claims.sub);
+      applyManagerIdentity(req, !isDriverRoute);
+      checkPermission(req, permissions);
+
+      if (!matchesRoute(unscopedRoutes, req)) {
+        await checkScopes(req, scopes);
+      }
+
+      next();
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+
+  // Multipart bodies only exist after multer has run, so upload routes re-check
+  // them with this after upload.single()
+  const verifyMultipartBody = async (req, res, next) => {
+    if (!req.manager) {
+      return next();
+    }
+
+    try {
+      applyManagerIdentity(req, true);
+      await checkScopes(req, []);
+      next();
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+
+  return {
+    guard,
+    verifyMultipartBody,
+    verifyToken,
+    resolveManager,
+    resolveDriver,
+    hasStoreAccess
+  };
+};
@@ -0,0 +1,20 @@
+-- Recurring block templates, materialized into blocks by the publish job
+CREATE TABLE IF NOT EXISTS block_templates (
+  template_id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL REFERENCES locations(location_id),
+  manager_id INTEGER NOT NULL REFERENCES managers(manager_id),
+  name VARCHAR(100),
+  days_of_week SMALLINT[] NOT NULL,           -- 0 = Sunday ... 6 = Saturday
+  start_local_time TIME NOT NULL,
+  end_local_time TIME NOT NULL,               -- earlier than start means the block ends the next day
+  amount NUMERIC(10, 2) NOT NULL,
+  block_count INTEGER NOT NULL DEFAULT 1,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_published_through DATE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_block_templates_location ON block_templates(location_id) WHERE is_active = true;
+
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES block_templates(template_id);
@@ -0,0 +1,20 @@
+-- Manager cancellations of claimed blocks and per-block change history
+ALTER TABLE block_claims ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+ALTER TABLE block_claims ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+ALTER TABLE block_claims ADD COLUMN IF NOT EXISTS cancellation_fee NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS block_history (
+  history_id SERIAL PRIMARY KEY,
+  block_id INTEGER NOT NULL,                  -- no FK so history survives block deletion
+  claim_id INTEGER,
+  action VARCHAR(50) NOT NULL,                -- updated, cancelled, claim_cancelled, ...
+  changed_by INTEGER REFERENCES managers(manager_id),
+  before_values JSONB,
+  after_values JSONB,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_block_history_block ON block_history(block_id, created_at);
@@ -0,0 +1,12 @@
+-- No-shows detected by the block expiration job
+CREATE TABLE IF NOT EXISTS driver_no_shows (
+  no_show_id SERIAL PRIMARY KEY,
+  driver_id INTEGER NOT NULL REFERENCES drivers(driver_id),
+  claim_id INTEGER NOT NULL UNIQUE REFERENCES block_claims(claim_id),
+  block_id INTEGER NOT NULL REFERENCES blocks(block_id),
+  location_id INTEGER NOT NULL,
+  minutes_late INTEGER,
+  detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_no_shows_driver ON driver_no_shows(driver_id, detected_at);
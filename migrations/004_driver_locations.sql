@@ -0,0 +1,15 @@
+-- Driver location pings for claimed blocks (pruned by the retention job)
+CREATE TABLE IF NOT EXISTS driver_locations (
+  ping_id BIGSERIAL PRIMARY KEY,
+  claim_id INTEGER NOT NULL REFERENCES block_claims(claim_id),
+  driver_id INTEGER NOT NULL REFERENCES drivers(driver_id),
+  block_id INTEGER NOT NULL,
+  latitude NUMERIC(9, 6) NOT NULL,
+  longitude NUMERIC(9, 6) NOT NULL,
+  accuracy_meters NUMERIC(8, 2),
+  recorded_at TIMESTAMPTZ NOT NULL,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_locations_claim ON driver_locations(claim_id, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_driver_locations_recorded ON driver_locations(recorded_at);
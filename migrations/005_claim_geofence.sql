@@ -0,0 +1,28 @@
+-- Geofence-validated check-in / check-out
+ALTER TABLE block_claims ADD COLUMN IF NOT EXISTS check_in_latitude NUMERIC(9, 6);
+ALTER TABLE block_claims ADD COLUMN IF NOT EXISTS check_in_longitude NUMERIC(9, 6);
+ALTER TABLE block_claims ADD COLUMN IF NOT EXISTS check_in_distance_meters NUMERIC(10, 2);
+ALTER TABLE block_claims ADD COLUMN IF NOT EXISTS check_in_accuracy_meters NUMERIC(8, 2);
+ALTER TABLE block_claims ADD COLUMN IF NOT EXISTS check_out_latitude NUMERIC(9, 6);
+ALTER TABLE block_claims ADD COLUMN IF NOT EXISTS check_out_longitude NUMERIC(9, 6);
+ALTER TABLE block_claims ADD COLUMN IF NOT EXISTS check_out_distance_meters NUMERIC(10, 2);
+ALTER TABLE block_claims ADD COLUMN IF NOT EXISTS check_out_accuracy_meters NUMERIC(8, 2);
+
+-- Rejected attempts outside the geofence, manager overrides, and events at stores
+-- without coordinates that couldn't be checked
+CREATE TABLE IF NOT EXISTS geofence_exceptions (
+  exception_id SERIAL PRIMARY KEY,
+  claim_id INTEGER NOT NULL REFERENCES block_claims(claim_id),
+  event_type VARCHAR(20) NOT NULL,            -- check_in, check_out
+  outcome VARCHAR(20) NOT NULL,               -- rejected, overridden, unverified
+  latitude NUMERIC(9, 6),
+  longitude NUMERIC(9, 6),
+  distance_meters NUMERIC(10, 2),
+  accuracy_meters NUMERIC(8, 2),
+  radius_meters NUMERIC(10, 2),
+  overridden_by INTEGER REFERENCES managers(manager_id),
+  override_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_geofence_exceptions_claim ON geofence_exceptions(claim_id);
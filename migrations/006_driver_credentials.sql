@@ -0,0 +1,13 @@
+-- Credential expiry alerts raised by the daily compliance job
+CREATE TABLE IF NOT EXISTS driver_credential_alerts (
+  alert_id SERIAL PRIMARY KEY,
+  driver_id INTEGER NOT NULL REFERENCES drivers(driver_id),
+  credential_type VARCHAR(20) NOT NULL,       -- license, registration, insurance
+  expires_on DATE NOT NULL,
+  threshold_days INTEGER NOT NULL,            -- 30, 14, 7, or 0 once lapsed
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (driver_id, credential_type, expires_on, threshold_days)
+);
+
+-- Per-location rule: refuse claims from drivers with lapsed credentials
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS require_valid_credentials BOOLEAN NOT NULL DEFAULT false;
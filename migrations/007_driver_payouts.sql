@@ -0,0 +1,38 @@
+-- Manager-entered payout adjustments (bonuses, tips, deductions)
+CREATE TABLE IF NOT EXISTS payout_adjustments (
+  adjustment_id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL REFERENCES locations(location_id),
+  driver_id INTEGER NOT NULL REFERENCES drivers(driver_id),
+  claim_id INTEGER REFERENCES block_claims(claim_id),
+  adjustment_type VARCHAR(20) NOT NULL,       -- bonus, tip, cancellation_fee, deduction
+  amount NUMERIC(10, 2) NOT NULL,
+  effective_date DATE NOT NULL,
+  note TEXT,
+  created_by INTEGER NOT NULL REFERENCES managers(manager_id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_adjustments_driver ON payout_adjustments(location_id, driver_id, effective_date);
+
+-- Per-driver statements for a location and date range
+CREATE TABLE IF NOT EXISTS payout_statements (
+  statement_id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL REFERENCES locations(location_id),
+  driver_id INTEGER NOT NULL REFERENCES drivers(driver_id),
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  completed_blocks INTEGER NOT NULL DEFAULT 0,
+  hours_worked NUMERIC(8, 2) NOT NULL DEFAULT 0,
+  base_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  adjustments_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  total_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  line_items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft', -- draft, approved, paid
+  created_by INTEGER REFERENCES managers(manager_id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  approved_by INTEGER REFERENCES managers(manager_id),
+  approved_at TIMESTAMPTZ,
+  paid_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_statements_location ON payout_statements(location_id, period_start, period_end);
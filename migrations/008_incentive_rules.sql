@@ -0,0 +1,37 @@
+-- Automatic bonuses on unclaimed blocks
+CREATE TABLE IF NOT EXISTS incentive_rules (
+  rule_id SERIAL PRIMARY KEY,
+  location_id INTEGER NOT NULL REFERENCES locations(location_id),
+  name VARCHAR(100),
+  bonus_type VARCHAR(10) NOT NULL,            -- flat, percent
+  bonus_value NUMERIC(10, 2) NOT NULL,
+  trigger_type VARCHAR(30) NOT NULL DEFAULT 'unfilled',
+  hours_before_start NUMERIC(5, 2) NOT NULL,  -- unfilled this close to start
+  window_start_local_time TIME,               -- optional: only blocks starting in this local window
+  window_end_local_time TIME,
+  days_of_week SMALLINT[],                    -- optional: 0 = Sunday ... 6 = Saturday
+  max_block_amount NUMERIC(10, 2),            -- optional ceiling for a bumped block
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by INTEGER REFERENCES managers(manager_id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS block_incentive_bumps (
+  bump_id SERIAL PRIMARY KEY,
+  rule_id INTEGER NOT NULL REFERENCES incentive_rules(rule_id),
+  block_id INTEGER NOT NULL,                  -- no FK, like block_history: bumps outlive deleted blocks so spend stays counted
+  location_id INTEGER NOT NULL,
+  block_date DATE NOT NULL,
+  previous_amount NUMERIC(10, 2) NOT NULL,
+  bump_amount NUMERIC(10, 2) NOT NULL,
+  new_amount NUMERIC(10, 2) NOT NULL,
+  capped BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (rule_id, block_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_block_incentive_bumps_day ON block_incentive_bumps(location_id, block_date);
+
+-- Total incentive spend allowed per location per block date (NULL = no cap)
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS incentive_daily_cap NUMERIC(10, 2);
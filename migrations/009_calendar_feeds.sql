@@ -0,0 +1,10 @@
+-- Tokenized read-only iCalendar feeds
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  feed_id SERIAL PRIMARY KEY,
+  token VARCHAR(64) NOT NULL UNIQUE,
+  manager_id INTEGER NOT NULL REFERENCES managers(manager_id),
+  location_id INTEGER REFERENCES locations(location_id), -- NULL = every store linked to the manager
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_accessed_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
@@ -0,0 +1,28 @@
+-- Driver-to-driver swap/drop offers for claimed blocks
+CREATE TABLE IF NOT EXISTS block_swap_offers (
+  swap_id SERIAL PRIMARY KEY,
+  block_id INTEGER NOT NULL REFERENCES blocks(block_id) ON DELETE CASCADE,
+  location_id INTEGER NOT NULL REFERENCES locations(location_id),
+  original_claim_id INTEGER NOT NULL REFERENCES block_claims(claim_id),
+  offered_by INTEGER NOT NULL REFERENCES drivers(driver_id),
+  reason TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'open', -- open, pending_approval, completed, withdrawn, expired
+  picked_up_by INTEGER REFERENCES drivers(driver_id),
+  picked_up_at TIMESTAMPTZ,
+  new_claim_id INTEGER REFERENCES block_claims(claim_id),
+  decided_by INTEGER REFERENCES managers(manager_id), -- NULL when auto-approved
+  decided_at TIMESTAMPTZ,
+  decision_note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- At most one live offer per block
+CREATE UNIQUE INDEX IF NOT EXISTS idx_block_swap_offers_live
+  ON block_swap_offers(block_id) WHERE status IN ('open', 'pending_approval');
+CREATE INDEX IF NOT EXISTS idx_block_swap_offers_location ON block_swap_offers(location_id, status);
+
+-- The claim a swap replaced, so the chain of drivers can be followed
+ALTER TABLE block_claims ADD COLUMN IF NOT EXISTS swapped_from_claim_id INTEGER REFERENCES block_claims(claim_id);
+
+-- 'manager' = a linked manager approves each pickup, 'auto' = pickups transfer immediately
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS swap_approval_policy VARCHAR(20) NOT NULL DEFAULT 'manager';
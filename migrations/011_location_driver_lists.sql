@@ -0,0 +1,16 @@
+-- Per-location preferred and blocked drivers. A driver is on at most one list per location.
+CREATE TABLE IF NOT EXISTS location_driver_lists (
+  location_id INTEGER NOT NULL REFERENCES locations(location_id) ON DELETE CASCADE,
+  driver_id INTEGER NOT NULL REFERENCES drivers(driver_id),
+  list_type VARCHAR(20) NOT NULL,             -- preferred, blocked
+  note TEXT,
+  added_by INTEGER REFERENCES managers(manager_id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (location_id, driver_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_location_driver_lists_type ON location_driver_lists(location_id, list_type);
+
+-- Minutes after a block is created during which only preferred drivers may claim it (0 = off)
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS preferred_early_access_minutes INTEGER NOT NULL DEFAULT 0;
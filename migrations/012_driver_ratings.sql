@@ -0,0 +1,15 @@
+-- Manager ratings of completed shifts, one per claim
+CREATE TABLE IF NOT EXISTS driver_ratings (
+  rating_id SERIAL PRIMARY KEY,
+  claim_id INTEGER NOT NULL UNIQUE REFERENCES block_claims(claim_id),
+  driver_id INTEGER NOT NULL REFERENCES drivers(driver_id),
+  location_id INTEGER NOT NULL REFERENCES locations(location_id),
+  manager_id INTEGER NOT NULL REFERENCES managers(manager_id),
+  punctuality SMALLINT NOT NULL CHECK (punctuality BETWEEN 1 AND 5),
+  professionalism SMALLINT NOT NULL CHECK (professionalism BETWEEN 1 AND 5),
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_ratings_driver ON driver_ratings(driver_id, created_at);
@@ -0,0 +1,23 @@
+-- Who made each block/claim change and through which entry point
+ALTER TABLE block_history ADD COLUMN IF NOT EXISTS actor_type VARCHAR(20);   -- manager, driver, system, unknown
+ALTER TABLE block_history ADD COLUMN IF NOT EXISTS actor_id INTEGER;         -- manager_id or driver_id
+ALTER TABLE block_history ADD COLUMN IF NOT EXISTS source VARCHAR(50);       -- api, template_publish, expiration_job, ...
+
+UPDATE block_history
+SET actor_type = CASE WHEN changed_by IS NOT NULL THEN 'manager' ELSE 'system' END,
+    actor_id = changed_by
+WHERE actor_type IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_block_history_claim ON block_history(claim_id) WHERE claim_id IS NOT NULL;
+
+-- The trail is append-only
+CREATE OR REPLACE FUNCTION block_history_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'block_history is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS block_history_no_update ON block_history;
+CREATE TRIGGER block_history_no_update
+  BEFORE UPDATE OR DELETE ON block_history
+  FOR EACH ROW EXECUTE FUNCTION block_history_append_only();
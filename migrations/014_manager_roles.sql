@@ -0,0 +1,12 @@
+-- Access role per manager, checked against the matrix in permissions.js.
+-- managers.fleet is whatever was typed at signup, so everyone starts as a store manager
+-- and is promoted explicitly.
+ALTER TABLE managers ADD COLUMN IF NOT EXISTS role VARCHAR(30) NOT NULL DEFAULT 'store_manager';
+  -- store_manager, general_manager, area_supervisor, franchisee, admin
+
+ALTER TABLE managers DROP CONSTRAINT IF EXISTS managers_role_check;
+ALTER TABLE managers ADD CONSTRAINT managers_role_check
+  CHECK (role IN ('store_manager', 'general_manager', 'area_supervisor', 'franchisee', 'admin'));
+
+ALTER TABLE managers ADD COLUMN IF NOT EXISTS role_updated_by INTEGER REFERENCES managers(manager_id);
+ALTER TABLE managers ADD COLUMN IF NOT EXISTS role_updated_at TIMESTAMPTZ;
@@ -0,0 +1,58 @@
+-- Franchisee organizations and the areas they split their stores into
+CREATE TABLE IF NOT EXISTS franchises (
+  franchise_id SERIAL PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  created_by INTEGER REFERENCES managers(manager_id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS areas (
+  area_id SERIAL PRIMARY KEY,
+  franchise_id INTEGER NOT NULL REFERENCES franchises(franchise_id) ON DELETE CASCADE,
+  name VARCHAR(200) NOT NULL,
+  created_by INTEGER REFERENCES managers(manager_id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (franchise_id, name)
+);
+
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS franchise_id INTEGER REFERENCES franchises(franchise_id);
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS area_id INTEGER REFERENCES areas(area_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_locations_franchise ON locations(franchise_id);
+CREATE INDEX IF NOT EXISTS idx_locations_area ON locations(area_id);
+
+-- Franchises start empty; stores are placed explicitly with PUT /api/franchises/:id/stores/:storeId.
+-- locations.fcode is a per-store link PIN, not an ownership marker, so nothing is derived from it.
+
+-- Org-level access: a whole franchise (area_id NULL) or one area of it
+CREATE TABLE IF NOT EXISTS manager_org_links (
+  link_id SERIAL PRIMARY KEY,
+  manager_id INTEGER NOT NULL REFERENCES managers(manager_id) ON DELETE CASCADE,
+  franchise_id INTEGER NOT NULL REFERENCES franchises(franchise_id) ON DELETE CASCADE,
+  area_id INTEGER REFERENCES areas(area_id) ON DELETE CASCADE,
+  added_by INTEGER REFERENCES managers(manager_id),
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_manager_org_links_franchise
+  ON manager_org_links(manager_id, franchise_id) WHERE area_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_manager_org_links_area
+  ON manager_org_links(manager_id, area_id) WHERE area_id IS NOT NULL;
+
+-- Every store a manager can work with: linked directly, or through an area or franchise.
+-- One row per manager and store, the most specific link winning.
+CREATE OR REPLACE VIEW manager_store_access AS
+SELECT DISTINCT ON (manager_id, store_id) manager_id, store_id, access_type, added_at
+FROM (
+  SELECT msl.manager_id, msl.store_id, 'store'::text AS access_type, msl.added_at, 0 AS priority
+  FROM manager_store_links msl
+  UNION ALL
+  SELECT mol.manager_id, l.store_id,
+         CASE WHEN mol.area_id IS NULL THEN 'franchise' ELSE 'area' END,
+         mol.added_at,
+         CASE WHEN mol.area_id IS NULL THEN 2 ELSE 1 END
+  FROM manager_org_links mol
+  JOIN locations l ON l.franchise_id = mol.franchise_id
+    AND (mol.area_id IS NULL OR l.area_id = mol.area_id)
+) access
+ORDER BY manager_id, store_id, priority;
@@ -0,0 +1,33 @@
+-- Every /api/verify-store attempt, kept for throttling and as an audit of failed guesses
+CREATE TABLE IF NOT EXISTS store_link_attempts (
+  attempt_id SERIAL PRIMARY KEY,
+  manager_id INTEGER REFERENCES managers(manager_id) ON DELETE SET NULL,
+  store_id VARCHAR(20) NOT NULL,              -- as submitted; may not be a real store
+  success BOOLEAN NOT NULL,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_store_link_attempts_manager ON store_link_attempts(manager_id, created_at) WHERE success = false;
+CREATE INDEX IF NOT EXISTS idx_store_link_attempts_store ON store_link_attempts(store_id, created_at) WHERE success = false;
+
+-- Links waiting for one of the store's general managers
+CREATE TABLE IF NOT EXISTS store_link_requests (
+  request_id SERIAL PRIMARY KEY,
+  manager_id INTEGER NOT NULL REFERENCES managers(manager_id) ON DELETE CASCADE,
+  store_id INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, approved, rejected, cancelled
+  requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  decided_by INTEGER REFERENCES managers(manager_id),
+  decided_at TIMESTAMPTZ,
+  decision_note TEXT
+);
+
+-- At most one pending request per manager and store
+CREATE UNIQUE INDEX IF NOT EXISTS idx_store_link_requests_pending
+  ON store_link_requests(manager_id, store_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_store_link_requests_store ON store_link_requests(store_id, status);
+
+-- 'auto' = a correct FCODE links the store immediately, 'approval' = a general manager approves each link
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS link_approval_policy VARCHAR(20) NOT NULL DEFAULT 'auto';
@@ -0,0 +1,21 @@
+-- Invitations from general managers to new shift managers for specific stores
+CREATE TABLE IF NOT EXISTS manager_invitations (
+  invitation_id SERIAL PRIMARY KEY,
+  code_hash VARCHAR(64) NOT NULL UNIQUE,      -- sha256 of the single-use code; the code itself is never stored
+  email VARCHAR(255),
+  phone_number VARCHAR(30),
+  role VARCHAR(30) NOT NULL DEFAULT 'store_manager',
+  store_ids INTEGER[] NOT NULL,
+  invited_by INTEGER NOT NULL REFERENCES managers(manager_id),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, accepted, revoked (expired is derived from expires_at)
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_by INTEGER REFERENCES managers(manager_id),
+  accepted_at TIMESTAMPTZ,
+  revoked_by INTEGER REFERENCES managers(manager_id),
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (email IS NOT NULL OR phone_number IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_manager_invitations_stores ON manager_invitations USING GIN (store_ids);
+CREATE INDEX IF NOT EXISTS idx_manager_invitations_invited_by ON manager_invitations(invited_by, status);
@@ -0,0 +1,29 @@
+-- Who deactivated a manager and when
+ALTER TABLE managers ADD COLUMN IF NOT EXISTS deactivated_by INTEGER REFERENCES managers(manager_id);
+ALTER TABLE managers ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ;
+
+-- Incidents get an owner that can be handed over; created_by is free text
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS assigned_to INTEGER REFERENCES managers(manager_id);
+
+UPDATE incidents
+SET assigned_to = created_by::integer
+WHERE assigned_to IS NULL
+  AND created_by ~ '^\d+$'
+  AND EXISTS (SELECT 1 FROM managers WHERE manager_id = created_by::integer);
+
+-- One row per offboarding, with what was handed over
+CREATE TABLE IF NOT EXISTS manager_offboardings (
+  offboarding_id SERIAL PRIMARY KEY,
+  manager_id INTEGER NOT NULL REFERENCES managers(manager_id),
+  performed_by INTEGER NOT NULL REFERENCES managers(manager_id),
+  transferred_to INTEGER NOT NULL REFERENCES managers(manager_id),
+  store_links VARCHAR(20) NOT NULL,           -- remove, transfer
+  store_ids INTEGER[] NOT NULL DEFAULT '{}',  -- the manager's direct store links at the time
+  workflows_reassigned INTEGER NOT NULL DEFAULT 0,
+  incidents_reassigned INTEGER NOT NULL DEFAULT 0,
+  templates_reassigned INTEGER NOT NULL DEFAULT 0,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_manager_offboardings_manager ON manager_offboardings(manager_id);
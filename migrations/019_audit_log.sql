@@ -0,0 +1,35 @@
+-- Every mutating API call: who, what route, which entity and how it changed
+CREATE TABLE IF NOT EXISTS audit_log (
+  audit_id BIGSERIAL PRIMARY KEY,
+  request_id VARCHAR(64) NOT NULL,
+  actor_type VARCHAR(20) NOT NULL,            -- manager, driver (signed-in sessions only), anonymous
+  actor_id INTEGER,
+  clerk_user_id VARCHAR(255),
+  method VARCHAR(10) NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER NOT NULL,
+  entity_type VARCHAR(50),                    -- block, claim, workflow, workflow_item, temperature_log, waste_log, issue_log, incident, ...
+  entity_id TEXT,
+  store_id INTEGER,
+  changes JSONB,                              -- { field: { before, after } }
+  before_data JSONB,
+  after_data JSONB,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_store ON audit_log(store_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_type, actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_request ON audit_log(request_id);
+
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_no_update ON audit_log;
+CREATE TRIGGER audit_log_no_update
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
@@ -0,0 +1,12 @@
+-- Checklist templates and items are managed through the API instead of by hand
+ALTER TABLE checklist_templates ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE checklist_templates ADD COLUMN IF NOT EXISTS cloned_from INTEGER REFERENCES checklist_templates(template_id);
+ALTER TABLE checklist_templates ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES managers(manager_id);
+ALTER TABLE checklist_templates ADD COLUMN IF NOT EXISTS updated_by INTEGER REFERENCES managers(manager_id);
+ALTER TABLE checklist_templates ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE checklist_templates ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE checklist_items ADD COLUMN IF NOT EXISTS updated_by INTEGER REFERENCES managers(manager_id);
+ALTER TABLE checklist_items ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_checklist_items_template ON checklist_items(template_id, sort_order);
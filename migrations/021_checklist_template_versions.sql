@@ -0,0 +1,61 @@
+-- Frozen copies of a template's active items. A workflow points at the version it was
+-- generated from, so later item edits don't change past workflows or their compliance.
+CREATE TABLE IF NOT EXISTS checklist_template_versions (
+  version_id SERIAL PRIMARY KEY,
+  template_id INTEGER NOT NULL REFERENCES checklist_templates(template_id),
+  version_number INTEGER NOT NULL,
+  items JSONB NOT NULL,                       -- checklist_items rows, in sort order
+  item_count INTEGER NOT NULL,
+  total_points NUMERIC NOT NULL DEFAULT 0,
+  created_by INTEGER REFERENCES managers(manager_id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (template_id, version_number)
+);
+
+ALTER TABLE store_workflows ADD COLUMN IF NOT EXISTS template_version_id INTEGER
+  REFERENCES checklist_template_versions(version_id);
+
+CREATE INDEX IF NOT EXISTS idx_store_workflows_template_version ON store_workflows(template_version_id);
+
+-- The template's active items as they would be snapshotted now. Bookkeeping columns
+-- are left out so two snapshots only differ when an item itself changed.
+CREATE OR REPLACE FUNCTION checklist_template_snapshot(p_template_id INTEGER) RETURNS JSONB AS $$
+  SELECT COALESCE(
+    jsonb_agg(to_jsonb(i) - 'created_at' - 'updated_at' - 'updated_by' ORDER BY i.sort_order, i.item_id),
+    '[]'::jsonb
+  )
+  FROM checklist_items i
+  WHERE i.template_id = p_template_id AND i.is_active = true
+$$ LANGUAGE sql STABLE;
+
+-- Existing workflows are pinned to the items as they are today
+INSERT INTO checklist_template_versions (template_id, version_number, items, item_count, total_points)
+SELECT
+  t.template_id,
+  1,
+  s.items,
+  jsonb_array_length(s.items),
+  COALESCE((SELECT SUM((item->>'point_value')::numeric) FROM jsonb_array_elements(s.items) item), 0)
+FROM checklist_templates t
+CROSS JOIN LATERAL (SELECT checklist_template_snapshot(t.template_id) as items) s
+WHERE NOT EXISTS (SELECT 1 FROM checklist_template_versions v WHERE v.template_id = t.template_id);
+
+UPDATE store_workflows w
+SET template_version_id = v.version_id
+FROM checklist_template_versions v
+WHERE w.template_version_id IS NULL
+  AND v.template_id = w.template_id
+  AND v.version_number = 1;
+
+-- Items of each workflow: its version's snapshot, or the live active items for a
+-- workflow without one. Recreate this view when columns are added to checklist_items.
+CREATE OR REPLACE VIEW workflow_checklist_items AS
+SELECT w.workflow_id, (jsonb_populate_record(NULL::checklist_items, s.item)).*
+FROM store_workflows w
+JOIN checklist_template_versions v ON w.template_version_id = v.version_id
+CROSS JOIN LATERAL jsonb_array_elements(v.items) AS s(item)
+UNION ALL
+SELECT w.workflow_id, i.*
+FROM store_workflows w
+JOIN checklist_items i ON i.template_id = w.template_id AND i.is_active = true
+WHERE w.template_version_id IS NULL;
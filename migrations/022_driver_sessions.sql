@@ -0,0 +1,8 @@
+-- Driver app requests are authenticated with the driver's Clerk session
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS clerk_user_id VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drivers_clerk_user ON drivers(clerk_user_id) WHERE clerk_user_id IS NOT NULL;
+
+-- Driver calls accepted without a session (DRIVER_AUTH_MODE=legacy) are recorded as
+-- 'unverified_driver', since their driver_id is self-reported
+COMMENT ON COLUMN block_history.actor_type IS 'manager, driver, unverified_driver, system, unknown';
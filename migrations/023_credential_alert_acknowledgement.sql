@@ -0,0 +1,6 @@
+-- Managers review credential alerts per location and mark them handled
+ALTER TABLE driver_credential_alerts ADD COLUMN IF NOT EXISTS acknowledged_by INTEGER REFERENCES managers(manager_id);
+ALTER TABLE driver_credential_alerts ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_driver_credential_alerts_open
+  ON driver_credential_alerts(driver_id) WHERE acknowledged_at IS NULL;
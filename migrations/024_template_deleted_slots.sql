@@ -0,0 +1,4 @@
+-- Template publishing skips slots whose templated block a manager deleted
+CREATE INDEX IF NOT EXISTS idx_block_history_deleted_template
+  ON block_history(((before_values->>'template_id')::int))
+  WHERE action = 'deleted';
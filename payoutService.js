@@ -0,0 +1,208 @@
+// A cancellation_fee adjustment covers fees not recorded on the claim itself;
+// block_claims.cancellation_fee is added to statements separately
+const ADJUSTMENT_TYPES = ['bonus', 'tip', 'cancellation_fee', 'deduction'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class PayoutService {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+  }
+
+  get adjustmentTypes() {
+    return ADJUSTMENT_TYPES;
+  }
+
+  // Deductions are stored as positive amounts and subtracted here
+  signedAdjustment(type, amount) {
+    const value = parseFloat(amount) || 0;
+    return type === 'deduction' ? -value : value;
+  }
+
+  // Builds one statement per driver for completed claims at a location between
+  // startDate and endDate (block dates, inclusive), plus manager cancellation
+  // fees and manual adjustments in that range.
+  async computeStatements(client, locationId, startDate, endDate, driverId = null) {
+    const completedResult = await client.query(`
+      SELECT
+        bc.claim_id,
+        bc.driver_id,
+        b.block_id,
+        to_char(b.date, 'YYYY-MM-DD') as date,
+        b.start_time,
+        b.end_time,
+        b.amount,
+        EXTRACT(EPOCH FROM (
+          COALESCE(bc.check_out_time, b.end_time) - COALESCE(bc.check_in_time, b.start_time)
+        )) / 3600 as hours
+      FROM block_claims bc
+      JOIN blocks b ON bc.block_id = b.block_id
+      WHERE b.location_id = $1
+        AND b.date BETWEEN $2::date AND $3::date
+        AND bc.service_status = 'complete'
+        AND ($4::int IS NULL OR bc.driver_id = $4)
+      ORDER BY b.start_time
+    `, [locationId, startDate, endDate, driverId]);
+
+    const feesResult = await client.query(`
+      SELECT
+        bc.claim_id,
+        bc.driver_id,
+        b.block_id,
+        to_char(b.date, 'YYYY-MM-DD') as date,
+        bc.cancellation_fee,
+        bc.cancellation_reason
+      FROM block_claims bc
+      JOIN blocks b ON bc.block_id = b.block_id
+      WHERE b.location_id = $1
+        AND b.date BETWEEN $2::date AND $3::date
+        AND bc.cancellation_type = 'manager'
+        AND bc.cancellation_fee > 0
+        AND ($4::int IS NULL OR bc.driver_id = $4)
+    `, [locationId, startDate, endDate, driverId]);
+
+    const adjustmentsResult = await client.query(`
+      SELECT
+        adjustment_id,
+        driver_id,
+        claim_id,
+        adjustment_type,
+        amount,
+        to_char(effective_date, 'YYYY-MM-DD') as date,
+        note
+      FROM payout_adjustments
+      WHERE location_id = $1
+        AND effective_date BETWEEN $2::date AND $3::date
+        AND ($4::int IS NULL OR driver_id = $4)
+      ORDER BY effective_date, adjustment_id
+    `, [locationId, startDate, endDate, driverId]);
+
+    const statements = new Map();
+    const getStatement = (id) => {
+      if (!statements.has(id)) {
+        statements.set(id, {
+          driverId: id,
+          completedBlocks: 0,
+          hoursWorked: 0,
+          baseAmount: 0,
+          adjustmentsAmount: 0,
+          totalAmount: 0,
+          lineItems: []
+        });
+      }
+      return statements.get(id);
+    };
+
+    completedResult.rows.forEach(row => {
+      const statement = getStatement(row.driver_id);
+      const hours = Math.max(parseFloat(row.hours) || 0, 0);
+      const amount = parseFloat(row.amount) || 0;
+
+      statement.completedBlocks++;
+      statement.hoursWorked += hours;
+      statement.baseAmount += amount;
+      statement.lineItems.push({
+        type: 'block',
+        claimId: row.claim_id,
+        blockId: row.block_id,
+        date: row.date,
+        startTime: new Date(row.start_time).toISOString(),
+        endTime: new Date(row.end_time).toISOString(),
+        hours: roundMoney(hours),
+        amount: roundMoney(amount)
+      });
+    });
+
+    feesResult.rows.forEach(row => {
+      const statement = getStatement(row.driver_id);
+      const amount = parseFloat(row.cancellation_fee) || 0;
+
+      statement.adjustmentsAmount += amount;
+      statement.lineItems.push({
+        type: 'cancellation_fee',
+        claimId: row.claim_id,
+        blockId: row.block_id,
+        date: row.date,
+        amount: roundMoney(amount),
+        note: row.cancellation_reason
+      });
+    });
+
+    adjustmentsResult.rows.forEach(row => {
+      const statement = getStatement(row.driver_id);
+      const amount = this.signedAdjustment(row.adjustment_type, row.amount);
+
+      statement.adjustmentsAmount += amount;
+      statement.lineItems.push({
+        type: row.adjustment_type,
+        adjustmentId: row.adjustment_id,
+        claimId: row.claim_id,
+        date: row.date,
+        amount: roundMoney(amount),
+        note: row.note
+      });
+    });
+
+    const driverIds = Array.from(statements.keys());
+    if (driverIds.length > 0) {
+      const driversResult = await client.query(
+        'SELECT driver_id, first_name, last_name, email FROM drivers WHERE driver_id = ANY($1::int[])',
+        [driverIds]
+      );
+      driversResult.rows.forEach(driver => {
+        const statement = statements.get(driver.driver_id);
+        statement.fullName = `${driver.first_name} ${driver.last_name}`;
+        statement.email = driver.email;
+      });
+    }
+
+    return Array.from(statements.values()).map(statement => ({
+      ...statement,
+      hoursWorked: roundMoney(statement.hoursWorked),
+      baseAmount: roundMoney(statement.baseAmount),
+      adjustmentsAmount: roundMoney(statement.adjustmentsAmount),
+      totalAmount: roundMoney(statement.baseAmount + statement.adjustmentsAmount)
+    }));
+  }
+
+  // CSV for payroll: one row per statement
+  toCsv(rows) {
+    const columns = [
+      ['statement_id', 'Statement ID'],
+      ['driver_id', 'Driver ID'],
+      ['driver_name', 'Driver Name'],
+      ['driver_email', 'Driver Email'],
+      ['store_id', 'Store ID'],
+      ['period_start_date', 'Period Start'],
+      ['period_end_date', 'Period End'],
+      ['completed_blocks', 'Completed Blocks'],
+      ['hours_worked', 'Hours Worked'],
+      ['base_amount', 'Base Amount'],
+      ['adjustments_amount', 'Adjustments'],
+      ['total_amount', 'Total'],
+      ['status', 'Status'],
+      ['approved_by_name', 'Approved By'],
+      ['approved_at', 'Approved At']
+    ];
+
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      let text = value instanceof Date ? value.toISOString() : String(value);
+      // Spreadsheets run cells starting with these as formulas (names are driver-entered);
+      // negative amounts are left alone so they stay numbers
+      if (/^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(([, header]) => header).join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(([key]) => escape(row[key])).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = PayoutService;
@@ -0,0 +1,95 @@
+// Manager roles, lowest to highest
+const ROLES = ['store_manager', 'general_manager', 'area_supervisor', 'franchisee', 'admin'];
+
+const ALL = ROLES;
+const GM_AND_UP = ['general_manager', 'area_supervisor', 'franchisee', 'admin'];
+const SUPERVISOR_AND_UP = ['area_supervisor', 'franchisee', 'admin'];
+
+// Which roles may do what. Store scoping (manager_store_access) applies on top of this.
+const PERMISSIONS = {
+  // Blocks
+  'blocks.view': ALL,
+  'blocks.manage': ALL,                       // create, edit and cancel own blocks, templates
+  'blocks.manage_others': GM_AND_UP,          // edit, cancel or delete blocks another manager created
+  'staffing.accept': ALL,                     // turn a staffing plan into blocks
+
+  // Driver pool, per location
+  'claim_rules.manage': GM_AND_UP,            // credential requirement, preferred early access
+  'driver_lists.view': ALL,
+  'driver_lists.manage': GM_AND_UP,           // preferred and blocked drivers
+  'swaps.manage': ALL,                        // review, approve and reject swap offers
+  'swaps.policy': GM_AND_UP,
+
+  // Pay
+  'payouts.view': GM_AND_UP,                  // previews, statements, payroll export
+  'payouts.manage': GM_AND_UP,                // adjustments and draft statements
+  'payouts.approve': GM_AND_UP,               // approve statements and mark them paid
+  'incentives.view': ALL,                     // rules and the bump log
+  'incentives.manage': GM_AND_UP,             // rules and the daily cap
+
+  // Workflows / checklists
+  'workflows.view': ALL,
+  'workflows.complete': ALL,
+  'workflows.generate': ALL,
+  'workflows.debug': ['admin'],
+  'checklists.manage': ['admin'],             // templates and items are shared by every store
+
+  // Incidents
+  'incidents.view': ALL,
+  'incidents.report': ALL,
+  'incidents.update': ALL,
+  'incidents.close_escalated': SUPERVISOR_AND_UP,
+  'incidents.delete': GM_AND_UP,
+
+  // Issue logs
+  'issue_logs.view': ALL,
+  'issue_logs.create': ALL,
+
+  // Store intelligence
+  'intelligence.view': ALL,
+  'intelligence.debug': ['admin'],
+
+  // Team
+  'roles.assign': ['franchisee', 'admin'],
+  'store_links.manage': GM_AND_UP,            // approve link requests, link policy, failed attempts
+  'managers.invite': GM_AND_UP,
+  'managers.offboard': GM_AND_UP,
+
+  // Franchise and area hierarchy
+  'org.view': SUPERVISOR_AND_UP,              // area and franchise roll-ups
+  'org.manage': ['franchisee', 'admin'],      // areas, store placement, org-level access
+  'org.create': ['admin'],                    // new franchises
+
+  // Audit trail
+  'audit.view': SUPERVISOR_AND_UP
+};
+
+const can = (role, permission) => {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return allowed.includes(role);
+};
+
+const getPermissions = (role) => Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+
+// Admins outrank everyone, including other admins
+const outranks = (role, otherRole) =>
+  ROLES.includes(otherRole) && (role === 'admin' || ROLES.indexOf(otherRole) < ROLES.indexOf(role));
+
+// Roles a manager may hand out: anything below their own, or anything for admins
+const canAssignRole = (assignerRole, role) => can(assignerRole, 'roles.assign') && outranks(assignerRole, role);
+
+// Invitations follow the same rule, for anyone allowed to invite
+const canInviteRole = (inviterRole, role) => can(inviterRole, 'managers.invite') && outranks(inviterRole, role);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  can,
+  getPermissions,
+  outranks,
+  canAssignRole,
+  canInviteRole
+};
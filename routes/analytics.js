@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+
+module.exports = (pool, blockService, analyticsService) => {
+  // Block analytics for one location
+  router.get('/locations/:locationId/block-analytics', async (req, res) => {
+    const { locationId } = req.params;
+    const { managerId } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    const period = analyticsService.resolvePeriod(req.query.startDate, req.query.endDate);
+    if (period.error) {
+      return res.status(400).json({ success: false, message: period.error });
+    }
+
+    try {
+      if (!(await blockService.hasLocationAccess(managerId, locationId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const { byLocation, ...analytics } = await analyticsService.getBlockAnalytics(
+        [parseInt(locationId)], period.startDate, period.endDate
+      );
+
+      res.json({
+        success: true,
+        locationId: parseInt(locationId),
+        periodStart: period.startDate,
+        periodEnd: period.endDate,
+        ...analytics
+      });
+    } catch (error) {
+      console.error('Error fetching block analytics:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch block analytics' });
+    }
+  });
+
+  // Block analytics across every store linked to a manager, with a per-store breakdown
+  router.get('/managers/:managerId/block-analytics', async (req, res) => {
+    const { managerId } = req.params;
+
+    const period = analyticsService.resolvePeriod(req.query.startDate, req.query.endDate);
+    if (period.error) {
+      return res.status(400).json({ success: false, message: period.error });
+    }
+
+    try {
+      const locationsResult = await pool.query(`
+        SELECT l.location_id, l.store_id, l.city
+        FROM manager_store_access msl
+        JOIN locations l ON msl.store_id = l.store_id
+        WHERE msl.manager_id = $1
+        ORDER BY l.store_id
+      `, [managerId]);
+
+      if (locationsResult.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'No stores linked to this manager' });
+      }
+
+      const analytics = await analyticsService.getBlockAnalytics(
+        locationsResult.rows.map(row => row.location_id), period.startDate, period.endDate
+      );
+
+      const stores = new Map(locationsResult.rows.map(row => [row.location_id, row]));
+      analytics.byLocation = analytics.byLocation.map(entry => ({
+        storeId: stores.get(entry.locationId).store_id,
+        city: stores.get(entry.locationId).city,
+        ...entry
+      }));
+
+      res.json({
+        success: true,
+        managerId: parseInt(managerId),
+        periodStart: period.startDate,
+        periodEnd: period.endDate,
+        ...analytics
+      });
+    } catch (error) {
+      console.error('Error fetching manager block analytics:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch block analytics' });
+    }
+  });
+
+  return router;
+};
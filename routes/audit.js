@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_AUDIT_ROWS = 200;
+
+module.exports = (pool) => {
+  // Audit entries for the stores the manager can access, newest first. Page with
+  // beforeId (the last audit_id of the previous page). Admins also see entries that
+  // aren't tied to a store.
+  router.get('/audit-log', async (req, res) => {
+    const { storeId, entityType, entityId, actorType, actorId, method, from, to, beforeId } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_AUDIT_ROWS);
+
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ success: false, message: 'from and to must be YYYY-MM-DD dates' });
+    }
+
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (req.manager.role !== 'admin') {
+      addCondition('a.store_id IN (SELECT store_id FROM manager_store_access WHERE manager_id = ?)', req.manager.manager_id);
+    }
+    if (storeId) addCondition('a.store_id = ?', storeId);
+    if (entityType) addCondition('a.entity_type = ?', entityType);
+    if (entityId) addCondition('a.entity_id = ?', String(entityId));
+    if (actorType) addCondition('a.actor_type = ?', actorType);
+    if (actorId) addCondition('a.actor_id = ?', actorId);
+    if (method) addCondition('a.method = ?', String(method).toUpperCase());
+    if (from) addCondition('a.created_at >= ?::date', from);
+    if (to) addCondition(`a.created_at < ?::date + INTERVAL '1 day'`, to);
+    if (beforeId) addCondition('a.audit_id < ?', beforeId);
+
+    try {
+      const result = await pool.query(`
+        SELECT
+          a.audit_id,
+          a.request_id,
+          a.actor_type,
+          a.actor_id,
+          CASE
+            WHEN a.actor_type = 'manager' THEN m.first_name || ' ' || m.last_name
+            WHEN a.actor_type = 'driver' THEN d.first_name || ' ' || d.last_name
+          END as actor_name,
+          a.method,
+          a.path,
+          a.status_code,
+          a.entity_type,
+          a.entity_id,
+          a.store_id,
+          a.changes,
+          a.before_data,
+          a.after_data,
+          a.created_at
+        FROM audit_log a
+        LEFT JOIN managers m ON a.actor_type = 'manager' AND a.actor_id = m.manager_id
+        LEFT JOIN drivers d ON a.actor_type = 'driver' AND a.actor_id = d.driver_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY a.audit_id DESC
+        LIMIT ${limit}
+      `, params);
+
+      res.json({
+        success: true,
+        entries: result.rows,
+        nextBeforeId: result.rows.length === limit ? result.rows[result.rows.length - 1].audit_id : null
+      });
+    } catch (error) {
+      console.error('❌ Error fetching audit log:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch audit log' });
+    }
+  });
+
+  return router;
+};
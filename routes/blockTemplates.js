@@ -0,0 +1,282 @@
+const express = require('express');
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const MAX_PUBLISH_DAYS = 60;
+
+// Returns an error message for an invalid template payload, or null.
+// With partial = true only the fields that are present are checked (updates).
+const validateTemplate = (body, partial = false) => {
+  const { manager_id, days_of_week, start_local_time, end_local_time, amount, block_count } = body;
+
+  if (!partial && (!manager_id || !days_of_week || !start_local_time || !end_local_time || !amount)) {
+    return 'Missing required fields. Required: days_of_week, start_local_time, end_local_time, amount, manager_id';
+  }
+
+  if (days_of_week !== undefined) {
+    if (!Array.isArray(days_of_week) || days_of_week.length === 0 ||
+        !days_of_week.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return 'days_of_week must be a non-empty array of integers 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+
+  if (start_local_time !== undefined && !TIME_PATTERN.test(start_local_time)) {
+    return 'start_local_time must be in HH:MM format';
+  }
+
+  if (end_local_time !== undefined && !TIME_PATTERN.test(end_local_time)) {
+    return 'end_local_time must be in HH:MM format';
+  }
+
+  if (start_local_time !== undefined && end_local_time !== undefined && start_local_time === end_local_time) {
+    return 'End time must be different from start time';
+  }
+
+  if (amount !== undefined && !(parseFloat(amount) > 0)) {
+    return 'amount must be a positive number';
+  }
+
+  if (block_count !== undefined && !(Number.isInteger(block_count) && block_count > 0)) {
+    return 'block_count must be a positive integer';
+  }
+
+  return null;
+};
+
+module.exports = (pool, blockService) => {
+  // List templates for a location
+  router.get('/locations/:locationId/block-templates', async (req, res) => {
+    const { locationId } = req.params;
+    const { includeInactive } = req.query;
+
+    try {
+      const result = await pool.query(`
+        SELECT
+          t.*,
+          m.first_name || ' ' || m.last_name as manager_name
+        FROM block_templates t
+        LEFT JOIN managers m ON t.manager_id = m.manager_id
+        WHERE t.location_id = $1
+          AND ($2::boolean OR t.is_active = true)
+        ORDER BY t.start_local_time, t.template_id
+      `, [locationId, includeInactive === 'true']);
+
+      res.json({ success: true, templates: result.rows });
+    } catch (error) {
+      console.error('Error fetching block templates:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch block templates' });
+    }
+  });
+
+  // Create a template
+  router.post('/locations/:locationId/block-templates', async (req, res) => {
+    const { locationId } = req.params;
+    const {
+      manager_id,
+      name,
+      days_of_week,
+      start_local_time,
+      end_local_time,
+      amount,
+      block_count = 1
+    } = req.body;
+
+    const validationError = validateTemplate({ ...req.body, block_count });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    try {
+      await blockService.verifyManagerLocation(pool, manager_id, locationId);
+    } catch (err) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO block_templates (
+          location_id, manager_id, name, days_of_week, start_local_time,
+          end_local_time, amount, block_count, is_active, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true, NOW(), NOW())
+        RETURNING *
+      `, [
+        locationId,
+        manager_id,
+        name || null,
+        days_of_week,
+        start_local_time,
+        end_local_time,
+        amount,
+        block_count
+      ]);
+
+      console.log(`✅ Block template ${result.rows[0].template_id} created by manager ${manager_id}`);
+
+      res.status(201).json({ success: true, template: result.rows[0] });
+    } catch (error) {
+      console.error('Error creating block template:', error);
+      res.status(500).json({ success: false, message: 'Failed to create block template' });
+    }
+  });
+
+  // Update a template. Blocks already published are left as they are.
+  router.put('/block-templates/:templateId', async (req, res) => {
+    const { templateId } = req.params;
+    const {
+      manager_id,
+      name,
+      days_of_week,
+      start_local_time,
+      end_local_time,
+      amount,
+      block_count,
+      is_active
+    } = req.body;
+
+    if (!manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id' });
+    }
+
+    const validationError = validateTemplate(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    try {
+      const existing = await pool.query(
+        'SELECT * FROM block_templates WHERE template_id = $1',
+        [templateId]
+      );
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Block template not found' });
+      }
+
+      try {
+        await blockService.verifyManagerLocation(pool, manager_id, existing.rows[0].location_id);
+      } catch (err) {
+        return res.status(403).json({ success: false, message: err.message });
+      }
+
+      const result = await pool.query(`
+        UPDATE block_templates
+        SET
+          name = COALESCE($2, name),
+          days_of_week = COALESCE($3, days_of_week),
+          start_local_time = COALESCE($4, start_local_time),
+          end_local_time = COALESCE($5, end_local_time),
+          amount = COALESCE($6, amount),
+          block_count = COALESCE($7, block_count),
+          is_active = COALESCE($8, is_active),
+          updated_at = NOW()
+        WHERE template_id = $1
+        RETURNING *
+      `, [
+        templateId,
+        name,
+        days_of_week,
+        start_local_time,
+        end_local_time,
+        amount,
+        block_count,
+        is_active
+      ]);
+
+      res.json({ success: true, template: result.rows[0] });
+    } catch (error) {
+      console.error('Error updating block template:', error);
+      res.status(500).json({ success: false, message: 'Failed to update block template' });
+    }
+  });
+
+  // Deactivate a template (published blocks are kept)
+  router.delete('/block-templates/:templateId', async (req, res) => {
+    const { templateId } = req.params;
+    const { managerId } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      const existing = await pool.query(
+        'SELECT location_id FROM block_templates WHERE template_id = $1',
+        [templateId]
+      );
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Block template not found' });
+      }
+
+      try {
+        await blockService.verifyManagerLocation(pool, managerId, existing.rows[0].location_id);
+      } catch (err) {
+        return res.status(403).json({ success: false, message: err.message });
+      }
+
+      await pool.query(
+        'UPDATE block_templates SET is_active = false, updated_at = NOW() WHERE template_id = $1',
+        [templateId]
+      );
+
+      res.json({ success: true, message: 'Block template deactivated' });
+    } catch (error) {
+      console.error('Error deactivating block template:', error);
+      res.status(500).json({ success: false, message: 'Failed to deactivate block template' });
+    }
+  });
+
+  // Publish a template right away instead of waiting for the nightly job
+  router.post('/block-templates/:templateId/publish', async (req, res) => {
+    const { templateId } = req.params;
+    const { manager_id, days_ahead } = req.body;
+
+    if (!manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id' });
+    }
+
+    try {
+      const templateResult = await pool.query(`
+        SELECT t.*, l.time_zone_code
+        FROM block_templates t
+        JOIN locations l ON t.location_id = l.location_id
+        WHERE t.template_id = $1 AND t.is_active = true
+      `, [templateId]);
+
+      if (templateResult.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Block template not found' });
+      }
+
+      const template = templateResult.rows[0];
+
+      try {
+        await blockService.verifyManagerLocation(pool, manager_id, template.location_id);
+      } catch (err) {
+        return res.status(403).json({ success: false, message: err.message });
+      }
+
+      const offsetMinutes = blockService.parseTimezoneOffset(template.time_zone_code);
+      const fromDate = blockService.getLocalDateString(new Date(), offsetMinutes);
+      const daysAhead = parseInt(days_ahead) || parseInt(process.env.BLOCK_TEMPLATE_DAYS_AHEAD) || 14;
+      const throughDate = blockService.addDays(fromDate, Math.min(Math.max(daysAhead, 1), MAX_PUBLISH_DAYS));
+
+      const created = await blockService.publishTemplate(template, fromDate, throughDate);
+
+      res.json({
+        success: true,
+        created: created.length,
+        publishedThrough: throughDate,
+        blocks: created.map(block => ({
+          block_id: block.block_id,
+          start_time: block.start_time.toISOString(),
+          end_time: block.end_time.toISOString()
+        }))
+      });
+    } catch (error) {
+      console.error('Error publishing block template:', error);
+      res.status(500).json({ success: false, message: 'Failed to publish block template' });
+    }
+  });
+
+  return router;
+};
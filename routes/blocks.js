@@ -0,0 +1,609 @@
+const express = require('express');
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// YYYY-MM-DD that names a real day; Date rolls 2025-02-31 over to March, so it has to round-trip
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+const MAX_BULK_BLOCKS = 200;
+// Cancelling goes through POST /blocks/:blockId/cancel (cutoff, fee, reason)
+const EDITABLE_STATUSES = ['available', 'expired'];
+
+module.exports = (pool, blockService) => {
+  // Errors from verifyManagerLocation/verifyBlockOwnership answer 403, like
+  // DELETE /api/blocks/:blockId; other plain Errors in these routes are bad input (400)
+  const verifyAccess = async (client, managerId, locationId, block = null) => {
+    try {
+      const manager = await blockService.verifyManagerLocation(client, managerId, locationId);
+      if (block) blockService.verifyBlockOwnership(manager, block);
+      return manager;
+    } catch (err) {
+      if (!err.code) err.status = 403;
+      throw err;
+    }
+  };
+
+  // Validates every row, checks for duplicate/overlapping slots and, unless this
+  // is a dry run, inserts the accepted rows in a single transaction.
+  const planAndInsertBlocks = async ({ locationId, managerId, rows, dryRun, allowDuplicates, allowOverlaps, skipConflicts, source }) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const manager = await verifyAccess(client, managerId, locationId);
+      const conflicts = await blockService.findSlotConflicts(client, locationId, rows);
+
+      const results = rows.map((row, index) => {
+        const conflict = conflicts[index];
+        let status = dryRun ? 'would_create' : 'created';
+        let message = null;
+
+        if (conflict.error) {
+          status = 'invalid';
+          message = conflict.error;
+        } else if (conflict.duplicateOf && !allowDuplicates) {
+          status = 'duplicate';
+          message = conflict.duplicateOf.blockId
+            ? `Block ${conflict.duplicateOf.blockId} already exists for this time slot`
+            : `Same time slot as row ${conflict.duplicateOf.row}`;
+        } else if (conflict.overlaps.length > 0 && !allowOverlaps) {
+          status = 'overlap';
+          message = 'Overlaps another block at this location';
+        }
+
+        return {
+          row: index,
+          status,
+          message,
+          duplicateOf: conflict.duplicateOf,
+          overlaps: conflict.overlaps,
+          block: {
+            start_time: row.start_time,
+            end_time: row.end_time,
+            date: row.date,
+            amount: row.amount,
+            status: row.status || 'available'
+          }
+        };
+      });
+
+      const rejected = results.filter(result => !['created', 'would_create'].includes(result.status));
+
+      if (dryRun || (rejected.length > 0 && !skipConflicts)) {
+        await client.query('ROLLBACK');
+        return { manager, results, rejected, created: 0 };
+      }
+
+      let created = 0;
+      for (const result of results) {
+        if (result.status !== 'created') continue;
+
+        const row = rows[result.row];
+        const block = await blockService.insertBlock(client, {
+          location_id: locationId,
+          start_time: row.start_time,
+          end_time: row.end_time,
+          amount: row.amount,
+          status: row.status,
+          date: row.date,
+          device_local_time: row.device_local_time,
+          device_timezone_offset: row.device_timezone_offset,
+          device_time_zone_name: row.device_time_zone_name,
+          manager_id: managerId
+        }, { source });
+
+        result.block.block_id = block.block_id;
+        result.block.start_time = block.start_time.toISOString();
+        result.block.end_time = block.end_time.toISOString();
+        created++;
+      }
+
+      await client.query('COMMIT');
+      return { manager, results, rejected, created };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  const sendBulkResponse = (res, outcome, dryRun, skipConflicts) => {
+    const { results, rejected, created } = outcome;
+    const blocked = !dryRun && rejected.length > 0 && !skipConflicts;
+
+    res.status(blocked ? 409 : (dryRun || created === 0 ? 200 : 201)).json({
+      success: !blocked,
+      dryRun,
+      message: blocked
+        ? 'Some blocks were rejected, nothing was created'
+        : (dryRun ? 'Dry run, nothing was created' : `${created} blocks created`),
+      created,
+      rejected: rejected.length,
+      results
+    });
+  };
+
+  // Create many blocks at one location in one transaction
+  router.post('/blocks/bulk', async (req, res) => {
+    const {
+      location_id,
+      manager_id,
+      blocks,
+      dry_run = false,
+      allow_duplicates = false,
+      allow_overlaps = false,
+      skip_conflicts = false
+    } = req.body;
+
+    if (!location_id || !manager_id || !Array.isArray(blocks) || blocks.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields. Required: location_id, manager_id, blocks'
+      });
+    }
+
+    if (blocks.length > MAX_BULK_BLOCKS) {
+      return res.status(400).json({
+        success: false,
+        message: `A maximum of ${MAX_BULK_BLOCKS} blocks can be created at once`
+      });
+    }
+
+    try {
+      const outcome = await planAndInsertBlocks({
+        locationId: location_id,
+        managerId: manager_id,
+        rows: blocks,
+        dryRun: dry_run === true,
+        allowDuplicates: allow_duplicates === true,
+        allowOverlaps: allow_overlaps === true,
+        skipConflicts: skip_conflicts === true,
+        source: 'bulk_create'
+      });
+
+      if (outcome.created > 0) {
+        console.log(`✅ ${outcome.created} blocks bulk-created by manager ${manager_id} at location ${location_id}`);
+      }
+
+      sendBulkResponse(res, outcome, dry_run === true, skip_conflicts === true);
+    } catch (err) {
+      console.error('❌ Error bulk-creating blocks:', err);
+      if (err.message && !err.code) {
+        return res.status(err.status || 400).json({ success: false, message: err.message });
+      }
+      res.status(500).json({ success: false, message: 'Database insert error' });
+    }
+  });
+
+  // Copy every block from one week at a location into another week
+  router.post('/blocks/copy-week', async (req, res) => {
+    const {
+      location_id,
+      manager_id,
+      source_week_start,
+      target_week_start,
+      dry_run = false,
+      allow_duplicates = false,
+      allow_overlaps = false,
+      skip_conflicts = false
+    } = req.body;
+
+    if (!location_id || !manager_id || !source_week_start || !target_week_start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields. Required: location_id, manager_id, source_week_start, target_week_start'
+      });
+    }
+
+    if (!isValidDate(source_week_start) || !isValidDate(target_week_start)) {
+      return res.status(400).json({
+        success: false,
+        message: 'source_week_start and target_week_start must be YYYY-MM-DD dates'
+      });
+    }
+
+    const dayOffset = Math.round(
+      (new Date(`${target_week_start}T00:00:00Z`) - new Date(`${source_week_start}T00:00:00Z`)) / (24 * 60 * 60 * 1000)
+    );
+
+    if (dayOffset === 0) {
+      return res.status(400).json({ success: false, message: 'Source and target weeks must differ' });
+    }
+
+    try {
+      const sourceResult = await pool.query(`
+        SELECT
+          block_id,
+          start_time,
+          end_time,
+          amount,
+          to_char(date, 'YYYY-MM-DD') as date
+        FROM blocks
+        WHERE location_id = $1
+          AND date >= $2::date
+          AND date < $2::date + 7
+          AND COALESCE(status, '') <> 'cancelled'
+        ORDER BY start_time
+      `, [location_id, source_week_start]);
+
+      if (sourceResult.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'No blocks found in the source week' });
+      }
+
+      const shiftMs = dayOffset * 24 * 60 * 60 * 1000;
+      const rows = sourceResult.rows.map(block => ({
+        start_time: new Date(new Date(block.start_time).getTime() + shiftMs).toISOString(),
+        end_time: new Date(new Date(block.end_time).getTime() + shiftMs).toISOString(),
+        date: blockService.addDays(block.date, dayOffset),
+        amount: block.amount,
+        status: 'available',
+        source_block_id: block.block_id
+      }));
+
+      const outcome = await planAndInsertBlocks({
+        locationId: location_id,
+        managerId: manager_id,
+        rows,
+        dryRun: dry_run === true,
+        allowDuplicates: allow_duplicates === true,
+        allowOverlaps: allow_overlaps === true,
+        skipConflicts: skip_conflicts === true,
+        source: 'copy_week'
+      });
+
+      outcome.results.forEach(result => {
+        result.sourceBlockId = rows[result.row].source_block_id;
+      });
+
+      if (outcome.created > 0) {
+        console.log(`✅ ${outcome.created} blocks copied from week ${source_week_start} to ${target_week_start} by manager ${manager_id}`);
+      }
+
+      sendBulkResponse(res, outcome, dry_run === true, skip_conflicts === true);
+    } catch (err) {
+      console.error('❌ Error copying week of blocks:', err);
+      if (err.message && !err.code) {
+        return res.status(err.status || 400).json({ success: false, message: err.message });
+      }
+      res.status(500).json({ success: false, message: 'Database insert error' });
+    }
+  });
+
+
+  // Update time, amount or status of a block.
+  // Once a driver holds the block only the amount may change, and only upward.
+  router.put('/blocks/:blockId', async (req, res) => {
+    const { blockId } = req.params;
+    const { manager_id, start_time, end_time, date, amount, status, reason } = req.body;
+
+    if (!manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id' });
+    }
+
+    if (status !== undefined && !EDITABLE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${EDITABLE_STATUSES.join(', ')}`
+      });
+    }
+
+    if (amount !== undefined && !(parseFloat(amount) > 0)) {
+      return res.status(400).json({ success: false, message: 'amount must be a positive number' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const blockResult = await client.query(`
+        SELECT block_id, location_id, start_time, end_time, to_char(date, 'YYYY-MM-DD') as date, amount, status, manager_id
+        FROM blocks
+        WHERE block_id = $1
+        FOR UPDATE
+      `, [blockId]);
+
+      if (blockResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'Block not found' });
+      }
+
+      const block = blockResult.rows[0];
+
+      await verifyAccess(client, manager_id, block.location_id, block);
+
+      if (block.status === 'cancelled') {
+        throw new Error('Cancelled blocks cannot be edited');
+      }
+
+      const claim = await blockService.getActiveClaim(client, blockId);
+
+      if (claim) {
+        if (start_time !== undefined || end_time !== undefined || date !== undefined || status !== undefined) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            message: 'Block is claimed — only the amount can be raised. Cancel the block to change its time or status.',
+            claimId: claim.claim_id
+          });
+        }
+
+        if (amount !== undefined && parseFloat(amount) < parseFloat(block.amount)) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            message: 'Cannot lower the amount of a claimed block',
+            claimId: claim.claim_id
+          });
+        }
+      }
+
+      const merged = {
+        start_time: start_time !== undefined ? start_time : block.start_time.toISOString(),
+        end_time: end_time !== undefined ? end_time : block.end_time.toISOString(),
+        date: date !== undefined ? date : block.date,
+        amount: amount !== undefined ? amount : block.amount
+      };
+
+      const fieldError = blockService.validateBlockFields(merged);
+      if (fieldError) {
+        throw new Error(fieldError);
+      }
+
+      const before = {};
+      const after = {};
+      const compare = {
+        start_time: [block.start_time.toISOString(), new Date(merged.start_time).toISOString()],
+        end_time: [block.end_time.toISOString(), new Date(merged.end_time).toISOString()],
+        date: [block.date, merged.date],
+        amount: [parseFloat(block.amount), parseFloat(merged.amount)],
+        status: [block.status, status !== undefined ? status : block.status]
+      };
+      Object.entries(compare).forEach(([field, [oldValue, newValue]]) => {
+        if (oldValue !== newValue) {
+          before[field] = oldValue;
+          after[field] = newValue;
+        }
+      });
+
+      if (Object.keys(after).length === 0) {
+        await client.query('ROLLBACK');
+        return res.json({ success: true, message: 'No changes', blockId: block.block_id });
+      }
+
+      const updateResult = await client.query(`
+        UPDATE blocks
+        SET
+          start_time = $2::timestamptz,
+          end_time = $3::timestamptz,
+          date = $4::date,
+          amount = $5,
+          status = $6,
+          updated_at = NOW()
+        WHERE block_id = $1
+        RETURNING block_id, start_time, end_time, to_char(date, 'YYYY-MM-DD') as date, amount, status, manager_id
+      `, [
+        blockId,
+        merged.start_time,
+        merged.end_time,
+        merged.date,
+        merged.amount,
+        status !== undefined ? status : block.status
+      ]);
+
+      await blockService.recordHistory(client, {
+        blockId: block.block_id,
+        claimId: claim ? claim.claim_id : null,
+        action: 'updated',
+        changedBy: manager_id,
+        before,
+        after,
+        reason: reason || null
+      });
+
+      await client.query('COMMIT');
+
+      const updated = updateResult.rows[0];
+      console.log(`✅ Block ${blockId} updated by manager ${manager_id}:`, after);
+
+      res.json({
+        success: true,
+        message: 'Block updated successfully',
+        block: {
+          ...updated,
+          start_time: updated.start_time.toISOString(),
+          end_time: updated.end_time.toISOString()
+        },
+        changes: { before, after }
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('❌ Error updating block:', err);
+      if (err.message && !err.code) {
+        return res.status(err.status || 400).json({ success: false, message: err.message });
+      }
+      res.status(500).json({ success: false, message: 'Failed to update block' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Manager cancellation. Works for claimed blocks too: the claim is marked as
+  // cancelled by the manager and, inside the cutoff window, a fee can be owed to the driver.
+  router.post('/blocks/:blockId/cancel', async (req, res) => {
+    const { blockId } = req.params;
+    const { manager_id, reason, reopen = false, cancellation_fee, override_cutoff = false } = req.body;
+
+    if (!manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id' });
+    }
+
+    if (cancellation_fee !== undefined && !(parseFloat(cancellation_fee) >= 0)) {
+      return res.status(400).json({ success: false, message: 'cancellation_fee must be zero or a positive number' });
+    }
+
+    const cutoffHours = parseFloat(process.env.BLOCK_CANCEL_CUTOFF_HOURS) || 2;
+    const lateFee = parseFloat(process.env.BLOCK_LATE_CANCELLATION_FEE) || 0;
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const blockResult = await client.query(
+        'SELECT block_id, location_id, start_time, status, amount, manager_id FROM blocks WHERE block_id = $1 FOR UPDATE',
+        [blockId]
+      );
+
+      if (blockResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'Block not found' });
+      }
+
+      const block = blockResult.rows[0];
+
+      await verifyAccess(client, manager_id, block.location_id, block);
+
+      if (block.status === 'cancelled') {
+        throw new Error('Block is already cancelled');
+      }
+
+      const claim = await blockService.getActiveClaim(client, blockId);
+      const newStatus = reopen ? 'available' : 'cancelled';
+      let fee = 0;
+      let withinCutoff = false;
+
+      if (claim) {
+        const hoursUntilStart = (new Date(block.start_time) - new Date()) / (60 * 60 * 1000);
+
+        if (hoursUntilStart <= 0 || claim.check_in_time) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            message: 'Block has already started and can no longer be cancelled',
+            claimId: claim.claim_id
+          });
+        }
+
+        withinCutoff = hoursUntilStart < cutoffHours;
+
+        if (withinCutoff && !override_cutoff) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            message: `Block starts in less than ${cutoffHours} hours. Set override_cutoff to cancel anyway.`,
+            claimId: claim.claim_id,
+            cutoffHours,
+            suggestedFee: lateFee
+          });
+        }
+
+        fee = cancellation_fee !== undefined
+          ? parseFloat(cancellation_fee)
+          : (withinCutoff ? lateFee : 0);
+
+        await client.query(`
+          UPDATE block_claims
+          SET
+            cancellation_type = 'manager',
+            cancelled_by = $2,
+            cancelled_at = NOW(),
+            cancellation_reason = $3,
+            cancellation_fee = $4,
+            service_status = 'cancelled'
+          WHERE claim_id = $1
+        `, [claim.claim_id, manager_id, reason || null, fee]);
+
+        await blockService.recordHistory(client, {
+          blockId: block.block_id,
+          claimId: claim.claim_id,
+          action: 'claim_cancelled',
+          changedBy: manager_id,
+          before: { service_status: claim.service_status, driver_id: claim.driver_id },
+          after: { service_status: 'cancelled', cancellation_type: 'manager', cancellation_fee: fee, within_cutoff: withinCutoff },
+          reason: reason || null
+        });
+      }
+
+      // A live swap offer goes with the claim it was offering
+      await client.query(`
+        UPDATE block_swap_offers SET status = 'withdrawn'
+        WHERE block_id = $1 AND status IN ('open', 'pending_approval')
+      `, [blockId]);
+
+      await client.query(
+        'UPDATE blocks SET status = $2, updated_at = NOW() WHERE block_id = $1',
+        [blockId, newStatus]
+      );
+
+      await blockService.recordHistory(client, {
+        blockId: block.block_id,
+        claimId: claim ? claim.claim_id : null,
+        action: reopen ? 'reopened' : 'cancelled',
+        changedBy: manager_id,
+        before: { status: block.status },
+        after: { status: newStatus },
+        reason: reason || null
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Block ${blockId} ${reopen ? 'reopened' : 'cancelled'} by manager ${manager_id}${claim ? ` (claim ${claim.claim_id}, fee ${fee})` : ''}`);
+
+      res.json({
+        success: true,
+        message: reopen ? 'Claim cancelled and block reopened' : 'Block cancelled successfully',
+        blockId: block.block_id,
+        status: newStatus,
+        claimId: claim ? claim.claim_id : null,
+        cancellationFee: fee,
+        withinCutoff
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('❌ Error cancelling block:', err);
+      if (err.message && !err.code) {
+        return res.status(err.status || 400).json({ success: false, message: err.message });
+      }
+      res.status(500).json({ success: false, message: 'Failed to cancel block' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Audit trail of a block and its claims; still readable after the block is deleted
+  router.get('/blocks/:blockId/history', async (req, res) => {
+    const { blockId } = req.params;
+
+    try {
+      const result = await pool.query(`
+        SELECT
+          h.*,
+          m.first_name || ' ' || m.last_name as changed_by_name,
+          CASE h.actor_type
+            WHEN 'manager' THEN am.first_name || ' ' || am.last_name
+            WHEN 'driver' THEN ad.first_name || ' ' || ad.last_name
+          END as actor_name
+        FROM block_history h
+        LEFT JOIN managers m ON h.changed_by = m.manager_id
+        LEFT JOIN managers am ON h.actor_type = 'manager' AND h.actor_id = am.manager_id
+        LEFT JOIN drivers ad ON h.actor_type = 'driver' AND h.actor_id = ad.driver_id
+        WHERE h.block_id = $1
+        ORDER BY h.created_at, h.history_id
+      `, [blockId]);
+
+      res.json({ success: true, history: result.rows });
+    } catch (error) {
+      console.error('Error fetching block history:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch block history' });
+    }
+  });
+
+  return router;
+};
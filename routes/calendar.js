@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+
+const FEED_PAST_DAYS = 7;
+const FEED_FUTURE_DAYS = 60;
+
+// RFC 5545 text escaping
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+module.exports = (pool, blockService) => {
+  // Store-local wall clock time such as "5:00 PM"
+  const formatLocalTime = (date, timeZoneCode) => {
+    const offsetMinutes = blockService.parseTimezoneOffset(timeZoneCode);
+    const local = new Date(new Date(date).getTime() + offsetMinutes * 60000);
+    let hours = local.getUTCHours();
+    const minutes = String(local.getUTCMinutes()).padStart(2, '0');
+    const period = hours >= 12 ? 'PM' : 'AM';
+    hours = hours % 12 || 12;
+    return `${hours}:${minutes} ${period}`;
+  };
+
+  const buildCalendar = (name, blocks) => {
+    const now = formatUtc(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//QuickFlex//Manager Schedule//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    blocks.forEach(block => {
+      const driverName = block.driver_id ? `${block.first_name} ${block.last_name}` : null;
+      const status = block.display_status;
+      const localWindow = `${formatLocalTime(block.start_time, block.time_zone_code)} - ${formatLocalTime(block.end_time, block.time_zone_code)}`;
+      const summary = `Store ${block.store_id}: ${driverName || 'Open block'} ($${parseFloat(block.amount).toFixed(2)})`;
+      const description = [
+        `Store: ${block.store_id}${block.city ? ` - ${block.city}` : ''}`,
+        `Time: ${localWindow} (${block.time_zone_code || 'GMT-08:00'})`,
+        `Status: ${status}`,
+        `Driver: ${driverName || 'Unclaimed'}`,
+        `Amount: $${parseFloat(block.amount).toFixed(2)}`
+      ].join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:block-${block.block_id}@quickflex`,
+        `DTSTAMP:${now}`,
+        `DTSTART:${formatUtc(block.start_time)}`,
+        `DTEND:${formatUtc(block.end_time)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `STATUS:${['cancelled', 'expired'].includes(status) ? 'CANCELLED' : 'CONFIRMED'}`
+      );
+      if (block.last_modified) {
+        lines.push(`LAST-MODIFIED:${formatUtc(block.last_modified)}`);
+      }
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  };
+
+  // Create a feed for one location, or for all of the manager's stores when location_id is omitted
+  router.post('/calendar-feeds', async (req, res) => {
+    const { manager_id, location_id } = req.body;
+
+    if (!manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id' });
+    }
+
+    try {
+      if (location_id && !(await blockService.hasLocationAccess(manager_id, location_id))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const token = crypto.randomBytes(24).toString('hex');
+
+      const result = await pool.query(`
+        INSERT INTO calendar_feeds (token, manager_id, location_id, created_at)
+        VALUES ($1, $2, $3, NOW())
+        RETURNING feed_id, token, manager_id, location_id, created_at
+      `, [token, manager_id, location_id || null]);
+
+      const feed = result.rows[0];
+
+      res.status(201).json({
+        success: true,
+        feed: {
+          ...feed,
+          path: `/api/calendar/${feed.token}.ics`
+        }
+      });
+    } catch (error) {
+      console.error('Error creating calendar feed:', error);
+      res.status(500).json({ success: false, message: 'Failed to create calendar feed' });
+    }
+  });
+
+  // List a manager's active feeds
+  router.get('/calendar-feeds', async (req, res) => {
+    const { managerId } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      const result = await pool.query(`
+        SELECT feed_id, token, location_id, created_at, last_accessed_at
+        FROM calendar_feeds
+        WHERE manager_id = $1 AND revoked_at IS NULL
+        ORDER BY created_at DESC
+      `, [managerId]);
+
+      res.json({
+        success: true,
+        feeds: result.rows.map(feed => ({ ...feed, path: `/api/calendar/${feed.token}.ics` }))
+      });
+    } catch (error) {
+      console.error('Error fetching calendar feeds:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch calendar feeds' });
+    }
+  });
+
+  // Revoke a feed so its URL stops working
+  router.delete('/calendar-feeds/:feedId', async (req, res) => {
+    const { feedId } = req.params;
+    const { managerId } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      const result = await pool.query(`
+        UPDATE calendar_feeds SET revoked_at = NOW()
+        WHERE feed_id = $1 AND manager_id = $2 AND revoked_at IS NULL
+      `, [feedId, managerId]);
+
+      if (result.rowCount === 0) {
+        return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+      }
+
+      res.json({ success: true, message: 'Calendar feed revoked' });
+    } catch (error) {
+      console.error('Error revoking calendar feed:', error);
+      res.status(500).json({ success: false, message: 'Failed to revoke calendar feed' });
+    }
+  });
+
+  // Public .ics feed; the token is the only credential
+  router.get('/calendar/:token.ics', async (req, res) => {
+    const { token } = req.params;
+
+    try {
+      const feedResult = await pool.query(`
+        SELECT f.feed_id, f.manager_id, f.location_id, m.first_name, m.last_name, m.status
+        FROM calendar_feeds f
+        JOIN managers m ON f.manager_id = m.manager_id
+        WHERE f.token = $1 AND f.revoked_at IS NULL
+      `, [token]);
+
+      if (feedResult.rows.length === 0 || feedResult.rows[0].status !== 'active') {
+        return res.status(404).send('Calendar not found');
+      }
+
+      const feed = feedResult.rows[0];
+
+      // Only stores the manager is still linked to are included
+      const blocksResult = await pool.query(`
+        SELECT
+          b.block_id,
+          b.start_time,
+          b.end_time,
+          b.amount,
+          COALESCE(b.updated_at, b.created_at) as last_modified,
+          l.store_id,
+          l.city,
+          l.time_zone_code,
+          CASE WHEN lc.cancellation_type IS NULL THEN d.driver_id END as driver_id,
+          d.first_name,
+          d.last_name,
+          CASE
+            WHEN lc.service_status = 'complete' THEN 'completed'
+            WHEN lc.service_status = 'in_progress' THEN 'in_progress'
+            WHEN lc.service_status = 'no_show' THEN 'no_show'
+            ELSE b.status
+          END AS display_status
+        FROM blocks b
+        JOIN locations l ON b.location_id = l.location_id
+        JOIN manager_store_access msl ON msl.store_id = l.store_id AND msl.manager_id = $1
+        LEFT JOIN LATERAL (
+          SELECT bc.driver_id, bc.service_status, bc.cancellation_type
+          FROM block_claims bc
+          WHERE bc.block_id = b.block_id
+          ORDER BY bc.claim_time DESC
+          LIMIT 1
+        ) lc ON true
+        LEFT JOIN drivers d ON lc.driver_id = d.driver_id
+        WHERE ($2::int IS NULL OR b.location_id = $2)
+          AND b.date >= CURRENT_DATE - $3::int
+          AND b.date <= CURRENT_DATE + $4::int
+        ORDER BY b.start_time
+      `, [feed.manager_id, feed.location_id, FEED_PAST_DAYS, FEED_FUTURE_DAYS]);
+
+      await pool.query('UPDATE calendar_feeds SET last_accessed_at = NOW() WHERE feed_id = $1', [feed.feed_id]);
+
+      const name = feed.location_id && blocksResult.rows.length > 0
+        ? `QuickFlex Store ${blocksResult.rows[0].store_id}`
+        : `QuickFlex - ${feed.first_name} ${feed.last_name}`;
+
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Cache-Control', 'private, max-age=300');
+      res.send(buildCalendar(name, blocksResult.rows));
+    } catch (error) {
+      console.error('Error building calendar feed:', error);
+      res.status(500).send('Failed to build calendar');
+    }
+  });
+
+  return router;
+};
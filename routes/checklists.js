@@ -0,0 +1,468 @@
+const express = require('express');
+const router = express.Router();
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const ITEM_TYPE_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const VERSION_PATTERN = /^(\d+|current)$/;
+
+const TEMPLATE_FIELDS = ['name', 'category', 'frequency', 'description', 'is_active'];
+const ITEM_FIELDS = [
+  'item_text', 'item_type', 'category', 'instructions', 'point_value', 'required',
+  'critical_violation', 'take_photo', 'log_waste', 'action_if_yes', 'action_if_no',
+  'min_value', 'max_value', 'actions', 'sort_order', 'is_active'
+];
+const BOOLEAN_ITEM_FIELDS = ['required', 'critical_violation', 'take_photo', 'log_waste', 'is_active'];
+
+const isNumber = (value) => value !== '' && !isNaN(Number(value));
+
+// Columns from `fields` that are present in the body, so a PUT can clear a value with null
+const pickFields = (body, fields) => fields
+  .filter(field => body[field] !== undefined)
+  .map(field => [field, field === 'actions' && body.actions !== null ? JSON.stringify(body.actions) : body[field]]);
+
+// Returns an error message for an invalid template payload, or null.
+// With partial = true only the fields that are present are checked (updates).
+const validateTemplate = (body, partial = false) => {
+  const { name, frequency, is_active } = body;
+
+  if (!partial && (!name || !frequency)) {
+    return 'Missing required fields. Required: name, frequency';
+  }
+
+  if (name !== undefined && !String(name || '').trim()) {
+    return 'name cannot be empty';
+  }
+
+  if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+    return `frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+
+  if (is_active !== undefined && typeof is_active !== 'boolean') {
+    return 'is_active must be true or false';
+  }
+
+  return null;
+};
+
+// Same as validateTemplate for items. `existing` is the stored item on updates, so
+// the min/max and temperature checks see the item as it will be saved.
+const validateItem = (body, existing = null) => {
+  const item = { ...(existing || {}), ...body };
+
+  if (!existing && (!body.item_text || !body.item_type)) {
+    return 'Missing required fields. Required: item_text, item_type';
+  }
+
+  if (body.item_text !== undefined && !String(body.item_text || '').trim()) {
+    return 'item_text cannot be empty';
+  }
+
+  if (body.item_type !== undefined && !ITEM_TYPE_PATTERN.test(String(body.item_type))) {
+    return 'item_type must be a lowercase identifier such as yes_no or temperature';
+  }
+
+  for (const field of BOOLEAN_ITEM_FIELDS) {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      return `${field} must be true or false`;
+    }
+  }
+
+  for (const field of ['min_value', 'max_value', 'point_value']) {
+    if (body[field] !== undefined && body[field] !== null && !isNumber(body[field])) {
+      return `${field} must be a number`;
+    }
+  }
+
+  if (body.point_value !== undefined && body.point_value !== null && Number(body.point_value) < 0) {
+    return 'point_value cannot be negative';
+  }
+
+  if (body.sort_order !== undefined && !(Number.isInteger(body.sort_order) && body.sort_order >= 0)) {
+    return 'sort_order must be a non-negative integer';
+  }
+
+  if (body.actions !== undefined && body.actions !== null && typeof body.actions !== 'object') {
+    return 'actions must be an array or object';
+  }
+
+  const hasMin = item.min_value !== undefined && item.min_value !== null;
+  const hasMax = item.max_value !== undefined && item.max_value !== null;
+
+  if (hasMin && hasMax && Number(item.min_value) > Number(item.max_value)) {
+    return 'min_value cannot be greater than max_value';
+  }
+
+  if (item.item_type === 'temperature' && !hasMin && !hasMax) {
+    return 'Temperature items need a min_value or max_value';
+  }
+
+  return null;
+};
+
+module.exports = (pool, checklistVersionService) => {
+  const getTemplate = async (db, templateId) => {
+    const result = await db.query('SELECT * FROM checklist_templates WHERE template_id = $1', [templateId]);
+    return result.rows[0] || null;
+  };
+
+  // Create a template. Items are added separately.
+  router.post('/checklists/templates', async (req, res) => {
+    const validationError = validateTemplate(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const { name, category, frequency, description } = req.body;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO checklist_templates (
+          name, category, frequency, description, is_active, created_by, updated_by, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, true, $5, $5, NOW(), NOW())
+        RETURNING *
+      `, [name.trim(), category || null, frequency, description || null, req.manager.manager_id]);
+
+      console.log(`✅ Checklist template ${result.rows[0].template_id} created by manager ${req.manager.manager_id}`);
+
+      res.status(201).json({ success: true, template: result.rows[0] });
+    } catch (error) {
+      console.error('❌ Error creating checklist template:', error);
+      res.status(500).json({ success: false, message: 'Failed to create checklist template' });
+    }
+  });
+
+  // Update a template; is_active = false takes it out of the template list, true restores it
+  router.put('/checklists/templates/:templateId', async (req, res) => {
+    const { templateId } = req.params;
+
+    const validationError = validateTemplate(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const fields = pickFields(req.body, TEMPLATE_FIELDS);
+    if (fields.length === 0) {
+      return res.status(400).json({ success: false, message: `Nothing to update. Fields: ${TEMPLATE_FIELDS.join(', ')}` });
+    }
+
+    try {
+      const result = await pool.query(`
+        UPDATE checklist_templates
+        SET ${fields.map(([field], index) => `${field} = $${index + 3}`).join(', ')},
+          updated_by = $2,
+          updated_at = NOW()
+        WHERE template_id = $1
+        RETURNING *
+      `, [templateId, req.manager.manager_id, ...fields.map(([, value]) => value)]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Checklist template not found' });
+      }
+
+      res.json({ success: true, template: result.rows[0] });
+    } catch (error) {
+      console.error('❌ Error updating checklist template:', error);
+      res.status(500).json({ success: false, message: 'Failed to update checklist template' });
+    }
+  });
+
+  // Deactivate a template. Workflows already generated from it keep working.
+  router.delete('/checklists/templates/:templateId', async (req, res) => {
+    const { templateId } = req.params;
+
+    try {
+      const result = await pool.query(`
+        UPDATE checklist_templates
+        SET is_active = false, updated_by = $2, updated_at = NOW()
+        WHERE template_id = $1
+        RETURNING template_id
+      `, [templateId, req.manager.manager_id]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Checklist template not found' });
+      }
+
+      res.json({ success: true, message: 'Checklist template deactivated' });
+    } catch (error) {
+      console.error('❌ Error deactivating checklist template:', error);
+      res.status(500).json({ success: false, message: 'Failed to deactivate checklist template' });
+    }
+  });
+
+  // Copy a template and its active items into a new template
+  router.post('/checklists/templates/:templateId/clone', async (req, res) => {
+    const { templateId } = req.params;
+    const { name } = req.body;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const source = await getTemplate(client, templateId);
+      if (!source) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'Checklist template not found' });
+      }
+
+      const templateResult = await client.query(`
+        INSERT INTO checklist_templates (
+          name, category, frequency, description, is_active, cloned_from,
+          created_by, updated_by, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, true, $5, $6, $6, NOW(), NOW())
+        RETURNING *
+      `, [
+        name && String(name).trim() ? String(name).trim() : `${source.name} (copy)`,
+        source.category,
+        source.frequency,
+        source.description,
+        source.template_id,
+        req.manager.manager_id
+      ]);
+      const template = templateResult.rows[0];
+
+      const itemColumns = ITEM_FIELDS.filter(field => field !== 'is_active').join(', ');
+      const itemsResult = await client.query(`
+        INSERT INTO checklist_items (template_id, ${itemColumns}, is_active, updated_by, updated_at)
+        SELECT $2, ${itemColumns}, true, $3, NOW()
+        FROM checklist_items
+        WHERE template_id = $1 AND is_active = true
+        ORDER BY sort_order, item_id
+      `, [source.template_id, template.template_id, req.manager.manager_id]);
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Checklist template ${source.template_id} cloned to ${template.template_id} (${itemsResult.rowCount} items) by manager ${req.manager.manager_id}`);
+
+      res.status(201).json({ success: true, template, itemCount: itemsResult.rowCount });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('❌ Error cloning checklist template:', err);
+      res.status(500).json({ success: false, message: 'Failed to clone checklist template' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Add an item; without sort_order it goes to the end of the list
+  router.post('/checklists/templates/:templateId/items', async (req, res) => {
+    const { templateId } = req.params;
+
+    const validationError = validateItem(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    try {
+      const template = await getTemplate(pool, templateId);
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Checklist template not found' });
+      }
+
+      const fields = pickFields({ is_active: true, ...req.body }, ITEM_FIELDS);
+      if (req.body.sort_order === undefined) {
+        const orderResult = await pool.query(
+          'SELECT COALESCE(MAX(sort_order), 0) + 1 as next_order FROM checklist_items WHERE template_id = $1 AND is_active = true',
+          [templateId]
+        );
+        fields.push(['sort_order', orderResult.rows[0].next_order]);
+      }
+
+      const result = await pool.query(`
+        INSERT INTO checklist_items (template_id, ${fields.map(([field]) => field).join(', ')}, updated_by, updated_at)
+        VALUES ($1, ${fields.map((field, index) => `$${index + 3}`).join(', ')}, $2, NOW())
+        RETURNING *
+      `, [templateId, req.manager.manager_id, ...fields.map(([, value]) => value)]);
+
+      res.status(201).json({ success: true, item: result.rows[0] });
+    } catch (error) {
+      console.error('❌ Error creating checklist item:', error);
+      res.status(500).json({ success: false, message: 'Failed to create checklist item' });
+    }
+  });
+
+  // Set the order of a template's active items; item_ids must list every one of them
+  router.put('/checklists/templates/:templateId/items/order', async (req, res) => {
+    const { templateId } = req.params;
+    const { item_ids } = req.body;
+
+    if (!Array.isArray(item_ids) || item_ids.length === 0 || !item_ids.every(id => /^\d+$/.test(String(id)))) {
+      return res.status(400).json({ success: false, message: 'item_ids must be a non-empty list of item IDs' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const itemsResult = await client.query(
+        'SELECT item_id FROM checklist_items WHERE template_id = $1 AND is_active = true FOR UPDATE',
+        [templateId]
+      );
+      const activeIds = itemsResult.rows.map(row => String(row.item_id)).sort();
+      const requestedIds = [...new Set(item_ids.map(String))].sort();
+
+      if (requestedIds.length !== item_ids.length || activeIds.join(',') !== requestedIds.join(',')) {
+        throw new Error(`item_ids must contain each of the template's ${activeIds.length} active items exactly once`);
+      }
+
+      for (const [index, itemId] of item_ids.entries()) {
+        await client.query(
+          'UPDATE checklist_items SET sort_order = $2, updated_by = $3, updated_at = NOW() WHERE item_id = $1',
+          [itemId, index + 1, req.manager.manager_id]
+        );
+      }
+
+      const result = await client.query(`
+        SELECT * FROM checklist_items
+        WHERE template_id = $1 AND is_active = true
+        ORDER BY sort_order, item_id
+      `, [templateId]);
+
+      await client.query('COMMIT');
+
+      res.json({ success: true, items: result.rows });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('❌ Error reordering checklist items:', err);
+      if (err.message && !err.code) {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+      res.status(500).json({ success: false, message: 'Failed to reorder checklist items' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Saved versions of a template, newest first. A version is saved whenever a workflow
+  // is generated after the items changed.
+  router.get('/checklists/templates/:templateId/versions', async (req, res) => {
+    const { templateId } = req.params;
+
+    try {
+      const template = await getTemplate(pool, templateId);
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Checklist template not found' });
+      }
+
+      const versions = await checklistVersionService.getVersions(templateId);
+
+      res.json({ success: true, template, versions });
+    } catch (error) {
+      console.error('❌ Error fetching checklist template versions:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch template versions' });
+    }
+  });
+
+  // What changed between two versions. `to` defaults to the live items ('current').
+  router.get('/checklists/templates/:templateId/versions/diff', async (req, res) => {
+    const { templateId } = req.params;
+    const { from } = req.query;
+    const to = req.query.to || 'current';
+
+    if (!VERSION_PATTERN.test(String(from || '')) || !VERSION_PATTERN.test(String(to))) {
+      return res.status(400).json({ success: false, message: "from and to must be version numbers or 'current'" });
+    }
+
+    try {
+      const [fromVersion, toVersion] = await Promise.all([
+        checklistVersionService.getVersion(templateId, from),
+        checklistVersionService.getVersion(templateId, to)
+      ]);
+
+      if (!fromVersion || !toVersion) {
+        return res.status(404).json({ success: false, message: 'Template version not found' });
+      }
+
+      res.json({
+        success: true,
+        from: fromVersion.version_number,
+        to: toVersion.version_number,
+        ...checklistVersionService.diffItems(fromVersion.items, toVersion.items)
+      });
+    } catch (error) {
+      console.error('❌ Error diffing checklist template versions:', error);
+      res.status(500).json({ success: false, message: 'Failed to compare template versions' });
+    }
+  });
+
+  router.get('/checklists/templates/:templateId/versions/:versionNumber', async (req, res) => {
+    const { templateId, versionNumber } = req.params;
+
+    if (!VERSION_PATTERN.test(versionNumber)) {
+      return res.status(400).json({ success: false, message: "Version must be a number or 'current'" });
+    }
+
+    try {
+      const version = await checklistVersionService.getVersion(templateId, versionNumber);
+      if (!version) {
+        return res.status(404).json({ success: false, message: 'Template version not found' });
+      }
+
+      res.json({ success: true, version });
+    } catch (error) {
+      console.error('❌ Error fetching checklist template version:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch template version' });
+    }
+  });
+
+  // Update an item; null clears optional fields such as min_value
+  router.put('/checklists/items/:itemId', async (req, res) => {
+    const { itemId } = req.params;
+
+    const fields = pickFields(req.body, ITEM_FIELDS);
+    if (fields.length === 0) {
+      return res.status(400).json({ success: false, message: `Nothing to update. Fields: ${ITEM_FIELDS.join(', ')}` });
+    }
+
+    try {
+      const existing = await pool.query('SELECT * FROM checklist_items WHERE item_id = $1', [itemId]);
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Checklist item not found' });
+      }
+
+      const validationError = validateItem(req.body, existing.rows[0]);
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      const result = await pool.query(`
+        UPDATE checklist_items
+        SET ${fields.map(([field], index) => `${field} = $${index + 3}`).join(', ')},
+          updated_by = $2,
+          updated_at = NOW()
+        WHERE item_id = $1
+        RETURNING *
+      `, [itemId, req.manager.manager_id, ...fields.map(([, value]) => value)]);
+
+      res.json({ success: true, item: result.rows[0] });
+    } catch (error) {
+      console.error('❌ Error updating checklist item:', error);
+      res.status(500).json({ success: false, message: 'Failed to update checklist item' });
+    }
+  });
+
+  // Deactivate an item. Completions already recorded against it are kept.
+  router.delete('/checklists/items/:itemId', async (req, res) => {
+    const { itemId } = req.params;
+
+    try {
+      const result = await pool.query(`
+        UPDATE checklist_items
+        SET is_active = false, updated_by = $2, updated_at = NOW()
+        WHERE item_id = $1
+        RETURNING item_id
+      `, [itemId, req.manager.manager_id]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Checklist item not found' });
+      }
+
+      res.json({ success: true, message: 'Checklist item deactivated' });
+    } catch (error) {
+      console.error('❌ Error deactivating checklist item:', error);
+      res.status(500).json({ success: false, message: 'Failed to deactivate checklist item' });
+    }
+  });
+
+  return router;
+};
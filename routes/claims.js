@@ -0,0 +1,358 @@
+const express = require('express');
+const router = express.Router();
+
+const CLAIM_EVENTS = {
+  check_in: {
+    label: 'Check-in',
+    timeColumn: 'check_in_time',
+    prefix: 'check_in',
+    serviceStatus: 'in_progress'
+  },
+  check_out: {
+    label: 'Check-out',
+    timeColumn: 'check_out_time',
+    prefix: 'check_out',
+    serviceStatus: 'complete'
+  }
+};
+
+module.exports = (pool, blockService, driverService) => {
+  // Locks a block and returns why the driver may not claim it (empty list when allowed)
+  const getClaimBlockers = async (client, blockId, driverId) => {
+    const blockResult = await client.query(`
+      SELECT block_id, location_id, start_time, status, created_at
+      FROM blocks
+      WHERE block_id = $1
+      FOR UPDATE
+    `, [blockId]);
+
+    if (blockResult.rows.length === 0) {
+      return { block: null, blockers: [{ code: 'not_found', message: 'Block not found' }] };
+    }
+
+    const block = blockResult.rows[0];
+    const blockers = [];
+
+    if (block.status !== 'available') {
+      blockers.push({ code: 'not_available', message: `Block is ${block.status}` });
+    } else if (new Date(block.start_time) <= new Date()) {
+      blockers.push({ code: 'started', message: 'Block has already started' });
+    }
+
+    const activeClaim = await blockService.getActiveClaim(client, blockId);
+    if (activeClaim) {
+      blockers.push({ code: 'claimed', message: 'Block is already claimed' });
+    }
+
+    const restrictions = await driverService.getClaimRestrictions(client, driverId, block.location_id, block);
+
+    return { block, blockers: blockers.concat(restrictions) };
+  };
+
+  // Whether a driver can claim a block, for the driver app to check before showing it
+  router.get('/blocks/:blockId/claim-eligibility', async (req, res) => {
+    const { blockId } = req.params;
+    const { driver_id } = req.query;
+
+    if (!driver_id) {
+      return res.status(400).json({ success: false, message: 'Missing driver_id' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const { block, blockers } = await getClaimBlockers(client, blockId, driver_id);
+      await client.query('ROLLBACK');
+
+      if (!block) {
+        return res.status(404).json({ success: false, message: 'Block not found' });
+      }
+
+      res.json({ success: true, eligible: blockers.length === 0, reasons: blockers });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('❌ Error checking claim eligibility:', err);
+      res.status(500).json({ success: false, message: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Claim an open block, enforcing the location's claim rules
+  router.post('/blocks/:blockId/claim', async (req, res) => {
+    const { blockId } = req.params;
+    const { driver_id } = req.body;
+
+    if (!driver_id) {
+      return res.status(400).json({ success: false, message: 'Missing driver_id' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { block, blockers } = await getClaimBlockers(client, blockId, driver_id);
+
+      if (!block) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'Block not found' });
+      }
+
+      if (blockers.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: blockers[0].message,
+          reasons: blockers
+        });
+      }
+
+      const claimResult = await client.query(`
+        INSERT INTO block_claims (block_id, driver_id, claim_time)
+        VALUES ($1, $2, NOW())
+        RETURNING claim_id, claim_time
+      `, [blockId, driver_id]);
+
+      await client.query(
+        `UPDATE blocks SET status = 'accepted', updated_at = NOW() WHERE block_id = $1`,
+        [blockId]
+      );
+
+      const claim = claimResult.rows[0];
+
+      await blockService.recordHistory(client, {
+        blockId: block.block_id,
+        claimId: claim.claim_id,
+        action: 'claimed',
+        actorType: req.driver ? 'driver' : 'unverified_driver',
+        actorId: driver_id,
+        before: { status: block.status },
+        after: { status: 'accepted', driver_id }
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Block ${blockId} claimed by driver ${driver_id} (claim ${claim.claim_id})`);
+
+      res.status(201).json({
+        success: true,
+        claimId: claim.claim_id,
+        claimTime: claim.claim_time,
+        blockId: block.block_id
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('❌ Error claiming block:', err);
+      res.status(500).json({ success: false, message: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Shared check-in/check-out handler. Drivers must be inside the store geofence;
+  // a linked manager can override with a reason (e.g. GPS failure). At a store
+  // without coordinates the event is allowed and recorded as unverified.
+  const handleClaimEvent = (eventType) => async (req, res) => {
+    const event = CLAIM_EVENTS[eventType];
+    const { claimId } = req.params;
+    const { driver_id, latitude, longitude, accuracy, manager_id, override_reason } = req.body;
+    const isOverride = Boolean(manager_id);
+
+    if (!isOverride && !driver_id) {
+      return res.status(400).json({ success: false, message: 'Missing driver_id' });
+    }
+
+    if (isOverride && !override_reason) {
+      return res.status(400).json({ success: false, message: 'override_reason is required for a manager override' });
+    }
+
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    const hasPosition = !isNaN(lat) && !isNaN(lng);
+
+    if (!isOverride && !hasPosition) {
+      return res.status(400).json({ success: false, message: 'Missing or invalid latitude/longitude' });
+    }
+
+    const accuracyMeters = accuracy !== undefined && accuracy !== null ? parseFloat(accuracy) : null;
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const claimResult = await client.query(`
+        SELECT
+          bc.claim_id,
+          bc.driver_id,
+          bc.block_id,
+          bc.service_status,
+          bc.cancellation_type,
+          bc.check_in_time,
+          bc.check_out_time,
+          b.location_id,
+          l.store_latitude,
+          l.store_longitude,
+          l.geofence_radius_meters
+        FROM block_claims bc
+        JOIN blocks b ON bc.block_id = b.block_id
+        JOIN locations l ON b.location_id = l.location_id
+        WHERE bc.claim_id = $1
+        FOR UPDATE OF bc
+      `, [claimId]);
+
+      if (claimResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'Claim not found' });
+      }
+
+      const claim = claimResult.rows[0];
+
+      if (isOverride) {
+        await blockService.verifyManagerLocation(client, manager_id, claim.location_id);
+      } else if (String(claim.driver_id) !== String(driver_id)) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ success: false, message: 'Claim does not belong to this driver' });
+      }
+
+      if (claim.cancellation_type || claim.service_status === 'cancelled') {
+        throw new Error('Claim has been cancelled');
+      }
+
+      if (claim[event.timeColumn]) {
+        throw new Error(`${event.label} already recorded`);
+      }
+
+      if (eventType === 'check_in' && claim.service_status === 'no_show' && !isOverride) {
+        throw new Error('Claim was marked as a no-show. Ask the store manager to check you in.');
+      }
+
+      if (eventType === 'check_out' && !claim.check_in_time) {
+        throw new Error('Cannot check out before checking in');
+      }
+
+      const hasStorePosition = claim.store_latitude !== null && claim.store_longitude !== null;
+      const geofence = hasPosition && hasStorePosition
+        ? blockService.checkGeofence(claim, lat, lng, accuracyMeters)
+        : null;
+
+      if (!isOverride && geofence && !geofence.inside) {
+        await client.query(`
+          INSERT INTO geofence_exceptions (
+            claim_id, event_type, outcome, latitude, longitude,
+            distance_meters, accuracy_meters, radius_meters, created_at
+          ) VALUES ($1, $2, 'rejected', $3, $4, $5, $6, $7, NOW())
+        `, [claim.claim_id, eventType, lat, lng, geofence.distance, accuracyMeters, geofence.radius]);
+
+        await client.query('COMMIT');
+
+        return res.status(422).json({
+          success: false,
+          message: `${event.label} must happen at the store`,
+          distanceMeters: geofence.distance,
+          radiusMeters: geofence.radius
+        });
+      }
+
+      // The store has no coordinates to check against; let the driver through but leave
+      // a record so the unchecked event shows up next to rejections and overrides
+      if (!isOverride && !geofence) {
+        await client.query(`
+          INSERT INTO geofence_exceptions (
+            claim_id, event_type, outcome, latitude, longitude, accuracy_meters, created_at
+          ) VALUES ($1, $2, 'unverified', $3, $4, $5, NOW())
+        `, [claim.claim_id, eventType, lat, lng, accuracyMeters]);
+      }
+
+      if (isOverride) {
+        await client.query(`
+          INSERT INTO geofence_exceptions (
+            claim_id, event_type, outcome, latitude, longitude, distance_meters,
+            accuracy_meters, radius_meters, overridden_by, override_reason, created_at
+          ) VALUES ($1, $2, 'overridden', $3, $4, $5, $6, $7, $8, $9, NOW())
+        `, [
+          claim.claim_id,
+          eventType,
+          hasPosition ? lat : null,
+          hasPosition ? lng : null,
+          geofence ? geofence.distance : null,
+          accuracyMeters,
+          geofence ? geofence.radius : null,
+          manager_id,
+          override_reason
+        ]);
+      }
+
+      const updateResult = await client.query(`
+        UPDATE block_claims
+        SET
+          ${event.timeColumn} = NOW(),
+          ${event.prefix}_latitude = $2,
+          ${event.prefix}_longitude = $3,
+          ${event.prefix}_distance_meters = $4,
+          ${event.prefix}_accuracy_meters = $5,
+          service_status = $6
+        WHERE claim_id = $1
+        RETURNING ${event.timeColumn} as event_time
+      `, [
+        claim.claim_id,
+        hasPosition ? lat : null,
+        hasPosition ? lng : null,
+        geofence ? geofence.distance : null,
+        accuracyMeters,
+        event.serviceStatus
+      ]);
+
+      // A manager checking in a flagged driver means they did show up after all
+      if (eventType === 'check_in' && claim.service_status === 'no_show') {
+        await client.query('DELETE FROM driver_no_shows WHERE claim_id = $1', [claim.claim_id]);
+      }
+
+      await blockService.recordHistory(client, {
+        blockId: claim.block_id,
+        claimId: claim.claim_id,
+        action: eventType,
+        changedBy: isOverride ? manager_id : null,
+        actorType: isOverride ? 'manager' : (req.driver ? 'driver' : 'unverified_driver'),
+        actorId: isOverride ? manager_id : claim.driver_id,
+        before: { service_status: claim.service_status },
+        after: {
+          service_status: event.serviceStatus,
+          distance_meters: geofence ? geofence.distance : null,
+          geofence_override: isOverride
+        },
+        reason: isOverride ? override_reason : null
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`✅ ${event.label} for claim ${claim.claim_id}${isOverride ? ` (override by manager ${manager_id})` : ''}`);
+
+      res.json({
+        success: true,
+        claimId: claim.claim_id,
+        serviceStatus: event.serviceStatus,
+        [eventType === 'check_in' ? 'checkInTime' : 'checkOutTime']: updateResult.rows[0].event_time,
+        distanceMeters: geofence ? geofence.distance : null,
+        radiusMeters: geofence ? geofence.radius : null,
+        overridden: isOverride
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error(`❌ Error recording ${eventType}:`, err);
+      if (err.message && !err.code) {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+      res.status(500).json({ success: false, message: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  };
+
+  router.post('/claims/:claimId/check-in', handleClaimEvent('check_in'));
+  router.post('/claims/:claimId/check-out', handleClaimEvent('check_out'));
+
+  return router;
+};
@@ -0,0 +1,377 @@
+const express = require('express');
+const router = express.Router();
+
+const DRIVER_LIST_TYPES = ['preferred', 'blocked'];
+const CREDENTIAL_ALERT_STATUSES = ['open', 'acknowledged', 'all'];
+
+const isRatingValue = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+module.exports = (pool, blockService, driverService) => {
+  // Drivers at a location whose license, registration or insurance lapses soon
+  router.get('/locations/:locationId/driver-compliance', async (req, res) => {
+    const { locationId } = req.params;
+    const { managerId, days } = req.query;
+    const withinDays = Math.min(parseInt(days) || 30, 365);
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      if (!(await blockService.hasLocationAccess(managerId, locationId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const drivers = await driverService.getExpiringCredentials(locationId, withinDays);
+
+      const summary = { lapsed: 0, missing: 0, within7: 0, within14: 0, within30: 0 };
+      drivers.forEach(driver => {
+        driver.credentials.forEach(credential => {
+          if (credential.status === 'lapsed') summary.lapsed++;
+          else if (credential.status === 'missing') summary.missing++;
+          else if (credential.daysRemaining <= 7) summary.within7++;
+          else if (credential.daysRemaining <= 14) summary.within14++;
+          else if (credential.daysRemaining <= 30) summary.within30++;
+        });
+      });
+
+      res.json({
+        success: true,
+        locationId: parseInt(locationId),
+        withinDays,
+        summary,
+        drivers
+      });
+    } catch (error) {
+      console.error('Error fetching driver compliance:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch driver compliance' });
+    }
+  });
+
+  // Credential expiry alerts raised by the daily job for drivers at this location
+  router.get('/locations/:locationId/credential-alerts', async (req, res) => {
+    const { locationId } = req.params;
+    const { managerId } = req.query;
+    const status = req.query.status || 'open';
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    if (!CREDENTIAL_ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${CREDENTIAL_ALERT_STATUSES.join(', ')}` });
+    }
+
+    try {
+      if (!(await blockService.hasLocationAccess(managerId, locationId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const alerts = await driverService.getCredentialAlerts(locationId, status);
+
+      res.json({ success: true, locationId: parseInt(locationId), status, alerts });
+    } catch (error) {
+      console.error('Error fetching credential alerts:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch credential alerts' });
+    }
+  });
+
+  router.post('/locations/:locationId/credential-alerts/:alertId/acknowledge', async (req, res) => {
+    const { locationId, alertId } = req.params;
+    const { manager_id } = req.body;
+
+    if (!manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id' });
+    }
+
+    try {
+      if (!(await blockService.hasLocationAccess(manager_id, locationId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const alert = await driverService.acknowledgeCredentialAlert(locationId, alertId, manager_id);
+      if (!alert) {
+        return res.status(404).json({ success: false, message: 'Credential alert not found' });
+      }
+
+      res.json({ success: true, alert });
+    } catch (error) {
+      console.error('Error acknowledging credential alert:', error);
+      res.status(500).json({ success: false, message: 'Failed to acknowledge credential alert' });
+    }
+  });
+
+  // Claim rules for a location
+  router.put('/locations/:locationId/claim-rules', async (req, res) => {
+    const { locationId } = req.params;
+    const { manager_id, require_valid_credentials, preferred_early_access_minutes } = req.body;
+
+    if (!manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id' });
+    }
+
+    if (require_valid_credentials !== undefined && typeof require_valid_credentials !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'require_valid_credentials must be a boolean' });
+    }
+
+    if (preferred_early_access_minutes !== undefined &&
+        !(Number.isInteger(preferred_early_access_minutes) && preferred_early_access_minutes >= 0)) {
+      return res.status(400).json({ success: false, message: 'preferred_early_access_minutes must be a non-negative integer' });
+    }
+
+    try {
+      await blockService.verifyManagerLocation(pool, manager_id, locationId);
+    } catch (err) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+
+    try {
+      const result = await pool.query(`
+        UPDATE locations
+        SET
+          require_valid_credentials = COALESCE($2, require_valid_credentials),
+          preferred_early_access_minutes = COALESCE($3, preferred_early_access_minutes)
+        WHERE location_id = $1
+        RETURNING location_id, require_valid_credentials, preferred_early_access_minutes
+      `, [locationId, require_valid_credentials, preferred_early_access_minutes]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Location not found' });
+      }
+
+      res.json({ success: true, rules: result.rows[0] });
+    } catch (error) {
+      console.error('Error updating claim rules:', error);
+      res.status(500).json({ success: false, message: 'Failed to update claim rules' });
+    }
+  });
+
+  // Preferred and blocked drivers for a location
+  router.get('/locations/:locationId/driver-lists', async (req, res) => {
+    const { locationId } = req.params;
+    const { managerId } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      if (!(await blockService.hasLocationAccess(managerId, locationId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const result = await pool.query(`
+        SELECT
+          ldl.driver_id,
+          ldl.list_type,
+          ldl.note,
+          ldl.created_at,
+          ldl.updated_at,
+          d.first_name,
+          d.last_name,
+          d.phone_number,
+          m.first_name || ' ' || m.last_name as added_by_name
+        FROM location_driver_lists ldl
+        JOIN drivers d ON ldl.driver_id = d.driver_id
+        LEFT JOIN managers m ON ldl.added_by = m.manager_id
+        WHERE ldl.location_id = $1
+        ORDER BY ldl.list_type, d.last_name, d.first_name
+      `, [locationId]);
+
+      res.json({
+        success: true,
+        preferred: result.rows.filter(row => row.list_type === 'preferred'),
+        blocked: result.rows.filter(row => row.list_type === 'blocked')
+      });
+    } catch (error) {
+      console.error('Error fetching driver lists:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch driver lists' });
+    }
+  });
+
+  // Put a driver on the preferred or blocked list (moving them if already on the other one)
+  router.put('/locations/:locationId/driver-lists/:driverId', async (req, res) => {
+    const { locationId, driverId } = req.params;
+    const { manager_id, list_type, note } = req.body;
+
+    if (!manager_id || !list_type) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id or list_type' });
+    }
+
+    if (!DRIVER_LIST_TYPES.includes(list_type)) {
+      return res.status(400).json({ success: false, message: `list_type must be one of: ${DRIVER_LIST_TYPES.join(', ')}` });
+    }
+
+    try {
+      await blockService.verifyManagerLocation(pool, manager_id, locationId);
+    } catch (err) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+
+    try {
+      const driverCheck = await pool.query('SELECT driver_id FROM drivers WHERE driver_id = $1', [driverId]);
+      if (driverCheck.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Driver not found' });
+      }
+
+      const result = await pool.query(`
+        INSERT INTO location_driver_lists (location_id, driver_id, list_type, note, added_by, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+        ON CONFLICT (location_id, driver_id) DO UPDATE
+        SET list_type = EXCLUDED.list_type,
+            note = EXCLUDED.note,
+            added_by = EXCLUDED.added_by,
+            updated_at = NOW()
+        RETURNING *
+      `, [locationId, driverId, list_type, note || null, manager_id]);
+
+      console.log(`✅ Driver ${driverId} marked ${list_type} at location ${locationId} by manager ${manager_id}`);
+
+      res.json({ success: true, entry: result.rows[0] });
+    } catch (error) {
+      console.error('Error updating driver list:', error);
+      res.status(500).json({ success: false, message: 'Failed to update driver list' });
+    }
+  });
+
+  // Take a driver off whichever list they are on
+  router.delete('/locations/:locationId/driver-lists/:driverId', async (req, res) => {
+    const { locationId, driverId } = req.params;
+    const { managerId } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      await blockService.verifyManagerLocation(pool, managerId, locationId);
+    } catch (err) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+
+    try {
+      const result = await pool.query(
+        'DELETE FROM location_driver_lists WHERE location_id = $1 AND driver_id = $2',
+        [locationId, driverId]
+      );
+
+      if (result.rowCount === 0) {
+        return res.status(404).json({ success: false, message: 'Driver is not on a list at this location' });
+      }
+
+      res.json({ success: true, message: 'Driver removed from list' });
+    } catch (error) {
+      console.error('Error removing driver from list:', error);
+      res.status(500).json({ success: false, message: 'Failed to remove driver from list' });
+    }
+  });
+
+  // Rate a completed shift. Rating the same claim again replaces the earlier rating.
+  router.post('/claims/:claimId/rating', async (req, res) => {
+    const { claimId } = req.params;
+    const { manager_id, punctuality, professionalism, notes } = req.body;
+
+    if (!manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id' });
+    }
+
+    if (!isRatingValue(punctuality) || !isRatingValue(professionalism)) {
+      return res.status(400).json({ success: false, message: 'punctuality and professionalism must be integers from 1 to 5' });
+    }
+
+    try {
+      const claimResult = await pool.query(`
+        SELECT bc.claim_id, bc.driver_id, bc.service_status, b.location_id
+        FROM block_claims bc
+        JOIN blocks b ON bc.block_id = b.block_id
+        WHERE bc.claim_id = $1
+      `, [claimId]);
+
+      if (claimResult.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Claim not found' });
+      }
+
+      const claim = claimResult.rows[0];
+
+      try {
+        await blockService.verifyManagerLocation(pool, manager_id, claim.location_id);
+      } catch (err) {
+        return res.status(403).json({ success: false, message: err.message });
+      }
+
+      if (claim.service_status !== 'complete') {
+        return res.status(409).json({ success: false, message: 'Only completed shifts can be rated' });
+      }
+
+      const result = await pool.query(`
+        INSERT INTO driver_ratings (
+          claim_id, driver_id, location_id, manager_id, punctuality, professionalism, notes, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+        ON CONFLICT (claim_id) DO UPDATE
+        SET manager_id = EXCLUDED.manager_id,
+            punctuality = EXCLUDED.punctuality,
+            professionalism = EXCLUDED.professionalism,
+            notes = EXCLUDED.notes,
+            updated_at = NOW()
+        RETURNING *
+      `, [claim.claim_id, claim.driver_id, claim.location_id, manager_id, punctuality, professionalism, notes || null]);
+
+      console.log(`✅ Claim ${claimId} rated by manager ${manager_id}`);
+
+      res.json({ success: true, rating: result.rows[0] });
+    } catch (error) {
+      console.error('Error saving shift rating:', error);
+      res.status(500).json({ success: false, message: 'Failed to save rating' });
+    }
+  });
+
+  // A driver's reliability score and the ratings they received at this location
+  router.get('/locations/:locationId/drivers/:driverId/reliability', async (req, res) => {
+    const { locationId, driverId } = req.params;
+    const { managerId } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      if (!(await blockService.hasLocationAccess(managerId, locationId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const id = parseInt(driverId);
+      if (isNaN(id)) {
+        return res.status(400).json({ success: false, message: 'Invalid driverId' });
+      }
+
+      const [scores, ratings] = await Promise.all([
+        driverService.getReliabilityScores(pool, [id]),
+        pool.query(`
+          SELECT
+            r.rating_id,
+            r.claim_id,
+            r.punctuality,
+            r.professionalism,
+            r.notes,
+            r.created_at,
+            to_char(b.date, 'YYYY-MM-DD') as block_date,
+            m.first_name || ' ' || m.last_name as rated_by_name
+          FROM driver_ratings r
+          JOIN block_claims bc ON r.claim_id = bc.claim_id
+          JOIN blocks b ON bc.block_id = b.block_id
+          LEFT JOIN managers m ON r.manager_id = m.manager_id
+          WHERE r.driver_id = $1 AND r.location_id = $2
+          ORDER BY r.created_at DESC
+          LIMIT 50
+        `, [id, locationId])
+      ]);
+
+      res.json({ success: true, driverId: id, reliability: scores.get(id), ratings: ratings.rows });
+    } catch (error) {
+      console.error('Error fetching driver reliability:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch driver reliability' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,349 @@
+const express = require('express');
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Columns a rule update may change
+const RULE_FIELDS = [
+  'name',
+  'bonus_type',
+  'bonus_value',
+  'trigger_type',
+  'hours_before_start',
+  'window_start_local_time',
+  'window_end_local_time',
+  'days_of_week',
+  'max_block_amount',
+  'is_active'
+];
+
+// [field, value] pairs for the fields present in the body, so null clears a column
+const pickFields = (body, fields) => fields
+  .filter(field => body[field] !== undefined)
+  .map(field => [field, body[field]]);
+
+module.exports = (pool, blockService, incentiveService) => {
+  // Returns an error message for an invalid rule payload, or null. Updates pass the
+  // stored rule merged with the body, so limits that depend on two fields still apply.
+  const validateRule = (body) => {
+    const {
+      bonus_type,
+      bonus_value,
+      trigger_type,
+      hours_before_start,
+      window_start_local_time,
+      window_end_local_time,
+      days_of_week,
+      max_block_amount
+    } = body;
+
+    if (!bonus_type || bonus_value === undefined || hours_before_start === undefined) {
+      return 'Missing required fields. Required: bonus_type, bonus_value, hours_before_start, manager_id';
+    }
+
+    if (bonus_type !== undefined && !incentiveService.bonusTypes.includes(bonus_type)) {
+      return `bonus_type must be one of: ${incentiveService.bonusTypes.join(', ')}`;
+    }
+
+    if (trigger_type !== undefined && !incentiveService.triggerTypes.includes(trigger_type)) {
+      return `trigger_type must be one of: ${incentiveService.triggerTypes.join(', ')}`;
+    }
+
+    if (bonus_value !== undefined && !(parseFloat(bonus_value) > 0)) {
+      return 'bonus_value must be a positive number';
+    }
+
+    if (bonus_type === 'percent' && parseFloat(bonus_value) > 100) {
+      return 'A percent bonus cannot exceed 100';
+    }
+
+    if (hours_before_start !== undefined && !(parseFloat(hours_before_start) > 0)) {
+      return 'hours_before_start must be a positive number';
+    }
+
+    const hasWindowStart = window_start_local_time !== undefined && window_start_local_time !== null;
+    const hasWindowEnd = window_end_local_time !== undefined && window_end_local_time !== null;
+    if (hasWindowStart !== hasWindowEnd) {
+      return 'window_start_local_time and window_end_local_time must be set together';
+    }
+
+    for (const value of [window_start_local_time, window_end_local_time]) {
+      if (value !== undefined && value !== null && !TIME_PATTERN.test(value)) {
+        return 'Window times must be in HH:MM format';
+      }
+    }
+
+    if (days_of_week !== undefined && days_of_week !== null) {
+      if (!Array.isArray(days_of_week) ||
+          !days_of_week.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        return 'days_of_week must be an array of integers 0 (Sunday) to 6 (Saturday)';
+      }
+    }
+
+    if (max_block_amount !== undefined && max_block_amount !== null && !(parseFloat(max_block_amount) > 0)) {
+      return 'max_block_amount must be a positive number';
+    }
+
+    return null;
+  };
+
+  // List rules and the location's daily cap
+  router.get('/locations/:locationId/incentive-rules', async (req, res) => {
+    const { locationId } = req.params;
+    const { managerId } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      if (!(await blockService.hasLocationAccess(managerId, locationId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const [rules, location] = await Promise.all([
+        pool.query(
+          'SELECT * FROM incentive_rules WHERE location_id = $1 ORDER BY is_active DESC, rule_id',
+          [locationId]
+        ),
+        pool.query('SELECT incentive_daily_cap FROM locations WHERE location_id = $1', [locationId])
+      ]);
+
+      res.json({
+        success: true,
+        dailyCap: location.rows[0]?.incentive_daily_cap ?? null,
+        rules: rules.rows
+      });
+    } catch (error) {
+      console.error('Error fetching incentive rules:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch incentive rules' });
+    }
+  });
+
+  // Create a rule
+  router.post('/locations/:locationId/incentive-rules', async (req, res) => {
+    const { locationId } = req.params;
+    const {
+      manager_id,
+      name,
+      bonus_type,
+      bonus_value,
+      trigger_type = 'unfilled',
+      hours_before_start,
+      window_start_local_time,
+      window_end_local_time,
+      days_of_week,
+      max_block_amount
+    } = req.body;
+
+    if (!manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id' });
+    }
+
+    const validationError = validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    try {
+      await blockService.verifyManagerLocation(pool, manager_id, locationId);
+    } catch (err) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO incentive_rules (
+          location_id, name, bonus_type, bonus_value, trigger_type, hours_before_start,
+          window_start_local_time, window_end_local_time, days_of_week, max_block_amount,
+          is_active, created_by, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true, $11, NOW(), NOW())
+        RETURNING *
+      `, [
+        locationId,
+        name || null,
+        bonus_type,
+        bonus_value,
+        trigger_type,
+        hours_before_start,
+        window_start_local_time || null,
+        window_end_local_time || null,
+        days_of_week || null,
+        max_block_amount || null,
+        manager_id
+      ]);
+
+      console.log(`✅ Incentive rule ${result.rows[0].rule_id} created by manager ${manager_id}`);
+
+      res.status(201).json({ success: true, rule: result.rows[0] });
+    } catch (error) {
+      console.error('Error creating incentive rule:', error);
+      res.status(500).json({ success: false, message: 'Failed to create incentive rule' });
+    }
+  });
+
+  // Update a rule. Only the fields in the body change; null clears an optional one.
+  // Bumps already applied stay in place.
+  router.put('/incentive-rules/:ruleId', async (req, res) => {
+    const { ruleId } = req.params;
+    const { manager_id } = req.body;
+
+    if (!manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id' });
+    }
+
+    const fields = pickFields(req.body, RULE_FIELDS);
+    if (fields.length === 0) {
+      return res.status(400).json({ success: false, message: `Nothing to update. Fields: ${RULE_FIELDS.join(', ')}` });
+    }
+
+    try {
+      const existing = await pool.query('SELECT * FROM incentive_rules WHERE rule_id = $1', [ruleId]);
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Incentive rule not found' });
+      }
+
+      try {
+        await blockService.verifyManagerLocation(pool, manager_id, existing.rows[0].location_id);
+      } catch (err) {
+        return res.status(403).json({ success: false, message: err.message });
+      }
+
+      const validationError = validateRule({ ...existing.rows[0], ...Object.fromEntries(fields) });
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      const result = await pool.query(`
+        UPDATE incentive_rules
+        SET ${fields.map(([field], index) => `${field} = $${index + 2}`).join(', ')},
+          updated_at = NOW()
+        WHERE rule_id = $1
+        RETURNING *
+      `, [ruleId, ...fields.map(([, value]) => value)]);
+
+      res.json({ success: true, rule: result.rows[0] });
+    } catch (error) {
+      console.error('Error updating incentive rule:', error);
+      res.status(500).json({ success: false, message: 'Failed to update incentive rule' });
+    }
+  });
+
+  // Deactivate a rule
+  router.delete('/incentive-rules/:ruleId', async (req, res) => {
+    const { ruleId } = req.params;
+    const { managerId } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      const existing = await pool.query('SELECT location_id FROM incentive_rules WHERE rule_id = $1', [ruleId]);
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Incentive rule not found' });
+      }
+
+      try {
+        await blockService.verifyManagerLocation(pool, managerId, existing.rows[0].location_id);
+      } catch (err) {
+        return res.status(403).json({ success: false, message: err.message });
+      }
+
+      await pool.query(
+        'UPDATE incentive_rules SET is_active = false, updated_at = NOW() WHERE rule_id = $1',
+        [ruleId]
+      );
+
+      res.json({ success: true, message: 'Incentive rule deactivated' });
+    } catch (error) {
+      console.error('Error deactivating incentive rule:', error);
+      res.status(500).json({ success: false, message: 'Failed to deactivate incentive rule' });
+    }
+  });
+
+  // Set or clear the per-day incentive spend cap for a location
+  router.put('/locations/:locationId/incentive-settings', async (req, res) => {
+    const { locationId } = req.params;
+    const { manager_id, daily_cap } = req.body;
+
+    if (!manager_id || daily_cap === undefined) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id or daily_cap' });
+    }
+
+    if (daily_cap !== null && !(parseFloat(daily_cap) >= 0)) {
+      return res.status(400).json({ success: false, message: 'daily_cap must be null or a non-negative number' });
+    }
+
+    try {
+      await blockService.verifyManagerLocation(pool, manager_id, locationId);
+    } catch (err) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+
+    try {
+      const result = await pool.query(`
+        UPDATE locations SET incentive_daily_cap = $2
+        WHERE location_id = $1
+        RETURNING location_id, incentive_daily_cap
+      `, [locationId, daily_cap]);
+
+      res.json({ success: true, settings: result.rows[0] });
+    } catch (error) {
+      console.error('Error updating incentive settings:', error);
+      res.status(500).json({ success: false, message: 'Failed to update incentive settings' });
+    }
+  });
+
+  // Log of automatic bumps with spend per block date
+  router.get('/locations/:locationId/incentive-bumps', async (req, res) => {
+    const { locationId } = req.params;
+    const { managerId, startDate, endDate } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      if (!(await blockService.hasLocationAccess(managerId, locationId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const bumps = await pool.query(`
+        SELECT
+          ib.bump_id,
+          ib.rule_id,
+          ib.block_id,
+          to_char(ib.block_date, 'YYYY-MM-DD') as block_date,
+          ib.previous_amount,
+          ib.bump_amount,
+          ib.new_amount,
+          ib.capped,
+          ib.created_at,
+          r.name as rule_name
+        FROM block_incentive_bumps ib
+        JOIN incentive_rules r ON ib.rule_id = r.rule_id
+        WHERE ib.location_id = $1
+          AND ($2::date IS NULL OR ib.block_date >= $2::date)
+          AND ($3::date IS NULL OR ib.block_date <= $3::date)
+        ORDER BY ib.created_at DESC
+      `, [locationId, startDate || null, endDate || null]);
+
+      const spendByDate = {};
+      bumps.rows.forEach(bump => {
+        spendByDate[bump.block_date] = Math.round(
+          ((spendByDate[bump.block_date] || 0) + parseFloat(bump.bump_amount)) * 100
+        ) / 100;
+      });
+
+      res.json({ success: true, spendByDate, bumps: bumps.rows });
+    } catch (error) {
+      console.error('Error fetching incentive bumps:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch incentive bumps' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,283 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { ROLES, canInviteRole } = require('../permissions');
+
+// No 0/O or 1/I, so codes survive being read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const MAX_INVITE_HOURS = 14 * 24;
+
+const generateCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+// Pending invitations past their expiry read as expired
+const STATUS_SQL = `CASE WHEN i.status = 'pending' AND i.expires_at <= NOW() THEN 'expired' ELSE i.status END`;
+
+module.exports = (pool, storeLinkService) => {
+  const getAccessibleStores = async (managerId, storeIds) => {
+    const result = await pool.query(
+      'SELECT store_id FROM manager_store_access WHERE manager_id = $1 AND store_id = ANY($2::int[])',
+      [managerId, storeIds]
+    );
+    return result.rows.map(row => String(row.store_id));
+  };
+
+  // Invite a manager by email and/or phone to the given stores. The code is only
+  // returned here, for the inviting manager to pass on.
+  router.post('/manager-invitations', async (req, res) => {
+    const { email, phone_number, store_ids } = req.body;
+    const role = req.body.role || 'store_manager';
+    const hours = Math.min(
+      Math.max(parseInt(req.body.expires_in_hours) || parseInt(process.env.MANAGER_INVITE_TTL_HOURS) || 72, 1),
+      MAX_INVITE_HOURS
+    );
+
+    if (!email && !phone_number) {
+      return res.status(400).json({ success: false, message: 'An email or phone_number is required' });
+    }
+
+    if (!Array.isArray(store_ids) || store_ids.length === 0 || !store_ids.every(id => /^\d+$/.test(String(id)))) {
+      return res.status(400).json({ success: false, message: 'store_ids must be a non-empty list of store IDs' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (!canInviteRole(req.manager.role, role)) {
+      return res.status(403).json({ success: false, message: 'You can only invite managers below your own role' });
+    }
+
+    const storeIds = [...new Set(store_ids.map(id => parseInt(id)))];
+
+    try {
+      const accessible = await getAccessibleStores(req.manager.manager_id, storeIds);
+      const denied = storeIds.filter(id => !accessible.includes(String(id)));
+      if (denied.length > 0) {
+        return res.status(403).json({ success: false, message: `Access denied to stores: ${denied.join(', ')}` });
+      }
+
+      const code = generateCode();
+
+      const result = await pool.query(`
+        INSERT INTO manager_invitations (code_hash, email, phone_number, role, store_ids, invited_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5::int[], $6, NOW() + make_interval(hours => $7::int))
+        RETURNING invitation_id, email, phone_number, role, store_ids, status, expires_at, created_at
+      `, [hashCode(code), email || null, phone_number || null, role, storeIds, req.manager.manager_id, hours]);
+
+      console.log(`✅ Manager invitation ${result.rows[0].invitation_id} created by manager ${req.manager.manager_id} for stores ${storeIds.join(', ')}`);
+
+      res.status(201).json({
+        success: true,
+        invitation: result.rows[0],
+        code
+      });
+    } catch (error) {
+      console.error('❌ Error creating manager invitation:', error);
+      res.status(500).json({ success: false, message: 'Failed to create invitation' });
+    }
+  });
+
+  // Invitations to any store the manager can access
+  router.get('/manager-invitations', async (req, res) => {
+    const { status } = req.query;
+
+    try {
+      const result = await pool.query(`
+        SELECT
+          i.invitation_id,
+          i.email,
+          i.phone_number,
+          i.role,
+          i.store_ids,
+          ${STATUS_SQL} as status,
+          i.expires_at,
+          i.invited_by,
+          im.first_name || ' ' || im.last_name as invited_by_name,
+          i.accepted_by,
+          am.first_name || ' ' || am.last_name as accepted_by_name,
+          i.accepted_at,
+          i.revoked_at,
+          i.created_at
+        FROM manager_invitations i
+        JOIN managers im ON i.invited_by = im.manager_id
+        LEFT JOIN managers am ON i.accepted_by = am.manager_id
+        WHERE i.store_ids && ARRAY(SELECT store_id::int FROM manager_store_access WHERE manager_id = $1)
+          AND ($2::text IS NULL OR ${STATUS_SQL} = $2)
+        ORDER BY i.created_at DESC
+      `, [req.manager.manager_id, status || null]);
+
+      res.json({ success: true, invitations: result.rows });
+    } catch (error) {
+      console.error('❌ Error fetching manager invitations:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch invitations' });
+    }
+  });
+
+  // The inviter, or anyone allowed to invite to all of its stores, can revoke a pending invite
+  router.post('/manager-invitations/:invitationId/revoke', async (req, res) => {
+    const { invitationId } = req.params;
+
+    try {
+      const invitationResult = await pool.query(
+        `SELECT i.*, ${STATUS_SQL} as current_status FROM manager_invitations i WHERE i.invitation_id = $1`,
+        [invitationId]
+      );
+
+      if (invitationResult.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Invitation not found' });
+      }
+
+      const invitation = invitationResult.rows[0];
+
+      if (String(invitation.invited_by) !== String(req.manager.manager_id)) {
+        const accessible = await getAccessibleStores(req.manager.manager_id, invitation.store_ids);
+        if (accessible.length < invitation.store_ids.length) {
+          return res.status(403).json({ success: false, message: 'Access denied to this invitation' });
+        }
+      }
+
+      if (invitation.current_status !== 'pending') {
+        return res.status(400).json({ success: false, message: `Invitation is already ${invitation.current_status}` });
+      }
+
+      const result = await pool.query(`
+        UPDATE manager_invitations
+        SET status = 'revoked', revoked_by = $2, revoked_at = NOW()
+        WHERE invitation_id = $1 AND status = 'pending'
+        RETURNING invitation_id, status, revoked_at
+      `, [invitationId, req.manager.manager_id]);
+
+      if (result.rows.length === 0) {
+        return res.status(409).json({ success: false, message: 'Invitation was used or revoked in the meantime' });
+      }
+
+      console.log(`✅ Manager invitation ${invitationId} revoked by manager ${req.manager.manager_id}`);
+
+      res.json({ success: true, invitation: result.rows[0] });
+    } catch (error) {
+      console.error('❌ Error revoking manager invitation:', error);
+      res.status(500).json({ success: false, message: 'Failed to revoke invitation' });
+    }
+  });
+
+  // Accept with the code after signing up in Clerk. Creates the users and managers rows
+  // when needed and links the invited stores, all in one transaction. Existing managers
+  // keep their role and just gain the stores.
+  router.post('/manager-invitations/accept', async (req, res) => {
+    const { code, first_name, last_name, phone_number, email, clerkUserId } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Missing invitation code' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const invitationResult = await client.query(
+        'SELECT * FROM manager_invitations WHERE code_hash = $1 FOR UPDATE',
+        [hashCode(code)]
+      );
+
+      if (invitationResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'Invitation not found' });
+      }
+
+      const invitation = invitationResult.rows[0];
+
+      if (invitation.status !== 'pending') {
+        throw new Error(`Invitation has already been ${invitation.status}`);
+      }
+      if (new Date(invitation.expires_at) <= new Date()) {
+        throw new Error('Invitation has expired');
+      }
+
+      const phone = phone_number || invitation.phone_number;
+      const userEmail = email || invitation.email || (phone ? `${phone}@quickflex.com` : null);
+
+      let userId;
+      const userCheck = await client.query('SELECT user_id FROM users WHERE clerk_user_id = $1', [clerkUserId]);
+
+      if (userCheck.rows.length > 0) {
+        userId = userCheck.rows[0].user_id;
+      } else {
+        const userResult = await client.query(`
+          INSERT INTO users (clerk_user_id, email, username, role, status, is_verified, created_at)
+          VALUES ($1, $2, $3, 'manager', 'active', true, NOW())
+          RETURNING user_id
+        `, [
+          clerkUserId,
+          userEmail,
+          email ? email.split('@')[0] : `user_${String(phone || clerkUserId).slice(-4)}`
+        ]);
+        userId = userResult.rows[0].user_id;
+      }
+
+      let managerId;
+      let created = false;
+      const managerCheck = await client.query('SELECT manager_id, status FROM managers WHERE user_id = $1', [userId]);
+
+      if (managerCheck.rows.length > 0) {
+        if (managerCheck.rows[0].status !== 'active') {
+          throw new Error('Manager account is not active');
+        }
+        managerId = managerCheck.rows[0].manager_id;
+      } else {
+        if (!first_name || !last_name || !phone) {
+          throw new Error('Missing required fields. Required: first_name, last_name, phone_number');
+        }
+
+        const managerResult = await client.query(`
+          INSERT INTO managers (user_id, first_name, last_name, phone_number, role, status, created_at, updated_at)
+          VALUES ($1, $2, $3, $4, $5, 'active', NOW(), NOW())
+          RETURNING manager_id
+        `, [userId, first_name, last_name, phone, invitation.role]);
+        managerId = managerResult.rows[0].manager_id;
+        created = true;
+      }
+
+      for (const storeId of invitation.store_ids) {
+        await storeLinkService.createLink(client, managerId, storeId);
+      }
+
+      await client.query(`
+        UPDATE manager_invitations
+        SET status = 'accepted', accepted_by = $2, accepted_at = NOW()
+        WHERE invitation_id = $1
+      `, [invitation.invitation_id, managerId]);
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Manager invitation ${invitation.invitation_id} accepted by manager ${managerId}${created ? ' (new account)' : ''}`);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        managerId,
+        created,
+        storeIds: invitation.store_ids,
+        message: created ? 'Manager account created' : 'Stores added to your account'
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('❌ Error accepting manager invitation:', err);
+      if (err.message && !err.code) {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+      res.status(500).json({ success: false, message: 'Failed to accept invitation' });
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+};
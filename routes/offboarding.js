@@ -0,0 +1,224 @@
+const express = require('express');
+const router = express.Router();
+const { outranks } = require('../permissions');
+
+const STORE_LINK_MODES = ['remove', 'transfer'];
+
+module.exports = (pool, storeLinkService) => {
+  // Deactivate a manager and hand their open work to another manager: pending
+  // checklists for today onwards, open incidents and active block templates. Their
+  // direct store links are removed or transferred to the same manager, and their
+  // org access, calendar feeds, pending invitations and link requests end.
+  router.post('/manager-offboardings', async (req, res) => {
+    const { target_manager_id, transfer_to_manager_id, reason } = req.body;
+    const storeLinks = req.body.store_links || 'remove';
+    const performedBy = req.manager.manager_id;
+
+    if (!target_manager_id || !transfer_to_manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing required fields. Required: target_manager_id, transfer_to_manager_id' });
+    }
+
+    if (!STORE_LINK_MODES.includes(storeLinks)) {
+      return res.status(400).json({ success: false, message: `store_links must be one of: ${STORE_LINK_MODES.join(', ')}` });
+    }
+
+    if (String(target_manager_id) === String(performedBy)) {
+      return res.status(400).json({ success: false, message: 'You cannot offboard yourself' });
+    }
+
+    if (String(target_manager_id) === String(transfer_to_manager_id)) {
+      return res.status(400).json({ success: false, message: 'Work must be transferred to a different manager' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const targetResult = await client.query(
+        'SELECT manager_id, first_name, last_name, role, status FROM managers WHERE manager_id = $1 FOR UPDATE',
+        [target_manager_id]
+      );
+      if (targetResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'Manager not found' });
+      }
+
+      const target = targetResult.rows[0];
+      if (target.status !== 'active') {
+        throw new Error('Manager is already inactive');
+      }
+      if (!outranks(req.manager.role, target.role)) {
+        throw new Error('You can only offboard managers below your own role');
+      }
+
+      const transfereeResult = await client.query(
+        'SELECT manager_id, role, status FROM managers WHERE manager_id = $1',
+        [transfer_to_manager_id]
+      );
+      if (transfereeResult.rows.length === 0 || transfereeResult.rows[0].status !== 'active') {
+        throw new Error('Manager to transfer to must be an active manager');
+      }
+
+      // The caller has to share a store with the manager, counting org-level access,
+      // so managers with no direct links can't be offboarded from anywhere
+      const sharedAccess = await client.query(`
+        SELECT 1
+        FROM manager_store_access target_access
+        JOIN manager_store_access caller_access ON caller_access.store_id = target_access.store_id
+        WHERE target_access.manager_id = $1 AND caller_access.manager_id = $2
+        LIMIT 1
+      `, [target_manager_id, performedBy]);
+      if (sharedAccess.rows.length === 0) {
+        throw new Error('You do not manage any store this manager has access to');
+      }
+
+      const linksResult = await client.query(
+        'SELECT store_id FROM manager_store_links WHERE manager_id = $1 ORDER BY store_id',
+        [target_manager_id]
+      );
+      const storeIds = linksResult.rows.map(row => row.store_id);
+
+      // The caller has to manage every store the manager is leaving
+      const callerAccess = await client.query(
+        'SELECT store_id FROM manager_store_access WHERE manager_id = $1 AND store_id = ANY($2)',
+        [performedBy, storeIds]
+      );
+      if (callerAccess.rows.length < storeIds.length) {
+        throw new Error('You do not manage every store this manager is linked to');
+      }
+
+      if (storeLinks === 'transfer') {
+        for (const storeId of storeIds) {
+          await storeLinkService.createLink(client, transfer_to_manager_id, storeId);
+        }
+      } else {
+        const transfereeAccess = await client.query(
+          'SELECT store_id FROM manager_store_access WHERE manager_id = $1 AND store_id = ANY($2)',
+          [transfer_to_manager_id, storeIds]
+        );
+        if (transfereeAccess.rows.length < storeIds.length) {
+          throw new Error('The manager taking over is not linked to all of these stores; use store_links "transfer"');
+        }
+      }
+
+      // The manager taking over needs access to every store whose work moves to them
+      const workStores = await client.query(`
+        SELECT store_id::text FROM store_workflows
+        WHERE assigned_to = $1 AND status IN ('pending', 'in_progress') AND date >= CURRENT_DATE
+        UNION
+        SELECT store_id::text FROM incidents
+        WHERE assigned_to = $1 AND status IN ('open', 'in_progress')
+        EXCEPT
+        SELECT store_id::text FROM manager_store_access WHERE manager_id = $2
+      `, [target_manager_id, transfer_to_manager_id]);
+      if (workStores.rows.length > 0) {
+        throw new Error(`The manager taking over has no access to stores ${workStores.rows.map(row => row.store_id).join(', ')}, which have open work to reassign`);
+      }
+
+      await client.query('DELETE FROM manager_store_links WHERE manager_id = $1', [target_manager_id]);
+      await client.query('DELETE FROM manager_org_links WHERE manager_id = $1', [target_manager_id]);
+
+      const workflowsResult = await client.query(`
+        UPDATE store_workflows
+        SET assigned_to = $2
+        WHERE assigned_to = $1
+          AND status IN ('pending', 'in_progress')
+          AND date >= CURRENT_DATE
+      `, [target_manager_id, transfer_to_manager_id]);
+
+      const incidentsResult = await client.query(`
+        UPDATE incidents
+        SET assigned_to = $2, updated_at = NOW(), updated_by = $3
+        WHERE assigned_to = $1
+          AND status IN ('open', 'in_progress')
+      `, [target_manager_id, transfer_to_manager_id, String(performedBy)]);
+
+      const templatesResult = await client.query(`
+        UPDATE block_templates
+        SET manager_id = $2, updated_at = NOW()
+        WHERE manager_id = $1 AND is_active = true
+      `, [target_manager_id, transfer_to_manager_id]);
+
+      await client.query(
+        'UPDATE calendar_feeds SET revoked_at = NOW() WHERE manager_id = $1 AND revoked_at IS NULL',
+        [target_manager_id]
+      );
+      await client.query(`
+        UPDATE manager_invitations SET status = 'revoked', revoked_by = $2, revoked_at = NOW()
+        WHERE invited_by = $1 AND status = 'pending'
+      `, [target_manager_id, performedBy]);
+      await client.query(`
+        UPDATE store_link_requests SET status = 'cancelled', decided_by = $2, decided_at = NOW()
+        WHERE manager_id = $1 AND status = 'pending'
+      `, [target_manager_id, performedBy]);
+
+      await client.query(`
+        UPDATE managers
+        SET status = 'inactive', deactivated_by = $2, deactivated_at = NOW(), updated_at = NOW()
+        WHERE manager_id = $1
+      `, [target_manager_id, performedBy]);
+
+      const offboardingResult = await client.query(`
+        INSERT INTO manager_offboardings (
+          manager_id, performed_by, transferred_to, store_links, store_ids,
+          workflows_reassigned, incidents_reassigned, templates_reassigned, reason
+        ) VALUES ($1, $2, $3, $4, $5::int[], $6, $7, $8, $9)
+        RETURNING *
+      `, [
+        target_manager_id,
+        performedBy,
+        transfer_to_manager_id,
+        storeLinks,
+        storeIds,
+        workflowsResult.rowCount,
+        incidentsResult.rowCount,
+        templatesResult.rowCount,
+        reason || null
+      ]);
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Manager ${target_manager_id} offboarded by manager ${performedBy}; work transferred to manager ${transfer_to_manager_id}`);
+
+      res.status(201).json({ success: true, offboarding: offboardingResult.rows[0] });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('❌ Error offboarding manager:', err);
+      if (err.message && !err.code) {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+      res.status(500).json({ success: false, message: 'Failed to offboard manager' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Offboardings that touched any store the manager can access
+  router.get('/manager-offboardings', async (req, res) => {
+    try {
+      const result = await pool.query(`
+        SELECT
+          o.*,
+          m.first_name || ' ' || m.last_name as manager_name,
+          pm.first_name || ' ' || pm.last_name as performed_by_name,
+          tm.first_name || ' ' || tm.last_name as transferred_to_name
+        FROM manager_offboardings o
+        JOIN managers m ON o.manager_id = m.manager_id
+        JOIN managers pm ON o.performed_by = pm.manager_id
+        JOIN managers tm ON o.transferred_to = tm.manager_id
+        WHERE o.performed_by = $1
+          OR o.store_ids && ARRAY(SELECT store_id::int FROM manager_store_access WHERE manager_id = $1)
+        ORDER BY o.created_at DESC
+        LIMIT 200
+      `, [req.manager.manager_id]);
+
+      res.json({ success: true, offboardings: result.rows });
+    } catch (error) {
+      console.error('❌ Error fetching offboardings:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch offboardings' });
+    }
+  });
+
+  return router;
+};
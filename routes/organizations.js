@@ -0,0 +1,307 @@
+const express = require('express');
+const router = express.Router();
+const { can } = require('../permissions');
+
+module.exports = (pool, analyticsService) => {
+  // Admins reach every franchise. Others need an org link to the whole franchise or,
+  // when areaId is given, to that area.
+  const hasOrgAccess = async (manager, franchiseId, areaId = null) => {
+    if (manager.role === 'admin') return true;
+
+    const result = await pool.query(`
+      SELECT 1 FROM manager_org_links
+      WHERE manager_id = $1
+        AND franchise_id = $2
+        AND (area_id IS NULL OR ($3::int IS NOT NULL AND area_id = $3))
+    `, [manager.manager_id, franchiseId, areaId]);
+    return result.rows.length > 0;
+  };
+
+  const getArea = async (areaId) => {
+    const result = await pool.query('SELECT * FROM areas WHERE area_id = $1', [areaId]);
+    return result.rows[0] || null;
+  };
+
+  const sendRollup = async (req, res, scope, locations) => {
+    const period = analyticsService.resolvePeriod(req.query.startDate, req.query.endDate);
+    if (period.error) {
+      return res.status(400).json({ success: false, message: period.error });
+    }
+
+    const rollup = await analyticsService.getOrgRollup(locations, period.startDate, period.endDate);
+
+    res.json({
+      success: true,
+      ...scope,
+      periodStart: period.startDate,
+      periodEnd: period.endDate,
+      ...rollup
+    });
+  };
+
+  // Franchises the manager can see, with their areas and store counts
+  router.get('/franchises', async (req, res) => {
+    try {
+      const result = await pool.query(`
+        SELECT
+          f.franchise_id,
+          f.name,
+          COALESCE(jsonb_agg(DISTINCT jsonb_build_object('area_id', a.area_id, 'name', a.name))
+            FILTER (WHERE a.area_id IS NOT NULL), '[]') as areas,
+          (SELECT COUNT(*) FROM locations l WHERE l.franchise_id = f.franchise_id) as store_count
+        FROM franchises f
+        LEFT JOIN areas a ON a.franchise_id = f.franchise_id
+        WHERE $2 = 'admin' OR EXISTS (
+          SELECT 1 FROM manager_org_links mol
+          WHERE mol.manager_id = $1 AND mol.franchise_id = f.franchise_id
+        )
+        GROUP BY f.franchise_id
+        ORDER BY f.name
+      `, [req.manager.manager_id, req.manager.role]);
+
+      res.json({
+        success: true,
+        franchises: result.rows.map(row => ({ ...row, store_count: parseInt(row.store_count) }))
+      });
+    } catch (error) {
+      console.error('❌ Error fetching franchises:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch franchises' });
+    }
+  });
+
+  router.post('/franchises', async (req, res) => {
+    const { name } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, message: 'Missing name' });
+    }
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO franchises (name, created_by)
+        VALUES ($1, $2)
+        RETURNING *
+      `, [String(name).trim(), req.manager.manager_id]);
+
+      res.status(201).json({ success: true, franchise: result.rows[0] });
+    } catch (error) {
+      console.error('❌ Error creating franchise:', error);
+      res.status(500).json({ success: false, message: 'Failed to create franchise' });
+    }
+  });
+
+  router.post('/franchises/:franchiseId/areas', async (req, res) => {
+    const { franchiseId } = req.params;
+    const { name } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, message: 'Missing name' });
+    }
+
+    try {
+      if (!(await hasOrgAccess(req.manager, franchiseId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this franchise' });
+      }
+
+      const result = await pool.query(`
+        INSERT INTO areas (franchise_id, name, created_by)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [franchiseId, String(name).trim(), req.manager.manager_id]);
+
+      res.status(201).json({ success: true, area: result.rows[0] });
+    } catch (error) {
+      console.error('❌ Error creating area:', error);
+      if (error.code === '23505') {
+        return res.status(409).json({ success: false, message: 'An area with this name already exists' });
+      }
+      if (error.code === '23503') {
+        return res.status(404).json({ success: false, message: 'Franchise not found' });
+      }
+      res.status(500).json({ success: false, message: 'Failed to create area' });
+    }
+  });
+
+  // Place a store in the franchise and optionally one of its areas (area_id null
+  // leaves it unassigned). Only admins can move stores between franchises.
+  router.put('/franchises/:franchiseId/stores/:storeId', async (req, res) => {
+    const { franchiseId, storeId } = req.params;
+    const areaId = req.body.area_id || null;
+
+    try {
+      if (!(await hasOrgAccess(req.manager, franchiseId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this franchise' });
+      }
+
+      const storeResult = await pool.query(
+        'SELECT location_id, store_id, franchise_id FROM locations WHERE store_id = $1',
+        [storeId]
+      );
+      if (storeResult.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Store not found' });
+      }
+
+      const store = storeResult.rows[0];
+      if (String(store.franchise_id) !== String(franchiseId) && req.manager.role !== 'admin') {
+        return res.status(403).json({ success: false, message: 'Store belongs to another franchise' });
+      }
+
+      if (areaId) {
+        const area = await getArea(areaId);
+        if (!area || String(area.franchise_id) !== String(franchiseId)) {
+          return res.status(400).json({ success: false, message: 'Area does not belong to this franchise' });
+        }
+      }
+
+      const result = await pool.query(`
+        UPDATE locations
+        SET franchise_id = $2, area_id = $3
+        WHERE store_id = $1
+        RETURNING location_id, store_id, city, franchise_id, area_id
+      `, [storeId, franchiseId, areaId]);
+
+      console.log(`✅ Store ${storeId} placed in franchise ${franchiseId}${areaId ? `, area ${areaId}` : ''} by manager ${req.manager.manager_id}`);
+
+      res.json({ success: true, store: result.rows[0] });
+    } catch (error) {
+      console.error('❌ Error placing store:', error);
+      res.status(500).json({ success: false, message: 'Failed to update store placement' });
+    }
+  });
+
+  // Give a supervisor or franchisee every store in an area (area_id) or the whole
+  // franchise, without linking stores one by one
+  router.put('/franchises/:franchiseId/managers/:managerId', async (req, res) => {
+    const { franchiseId, managerId } = req.params;
+    const areaId = req.body.area_id || null;
+
+    try {
+      if (!(await hasOrgAccess(req.manager, franchiseId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this franchise' });
+      }
+
+      if (areaId) {
+        const area = await getArea(areaId);
+        if (!area || String(area.franchise_id) !== String(franchiseId)) {
+          return res.status(400).json({ success: false, message: 'Area does not belong to this franchise' });
+        }
+      }
+
+      const managerResult = await pool.query(
+        'SELECT manager_id, role, status FROM managers WHERE manager_id = $1',
+        [managerId]
+      );
+      if (managerResult.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Manager not found' });
+      }
+
+      const target = managerResult.rows[0];
+      if (!can(target.role, 'org.view')) {
+        return res.status(400).json({ success: false, message: 'Only area supervisors and above can be given area or franchise access' });
+      }
+
+      const result = await pool.query(`
+        INSERT INTO manager_org_links (manager_id, franchise_id, area_id, added_by)
+        SELECT $1, $2, $3, $4
+        WHERE NOT EXISTS (
+          SELECT 1 FROM manager_org_links
+          WHERE manager_id = $1 AND franchise_id = $2 AND area_id IS NOT DISTINCT FROM $3
+        )
+        RETURNING *
+      `, [managerId, franchiseId, areaId, req.manager.manager_id]);
+
+      console.log(`✅ Manager ${managerId} given ${areaId ? `area ${areaId}` : `franchise ${franchiseId}`} access by manager ${req.manager.manager_id}`);
+
+      res.status(result.rows.length > 0 ? 201 : 200).json({
+        success: true,
+        message: result.rows.length > 0 ? 'Access granted' : 'Manager already has this access'
+      });
+    } catch (error) {
+      console.error('❌ Error granting org access:', error);
+      if (error.code === '23505') {
+        return res.status(200).json({ success: true, message: 'Manager already has this access' });
+      }
+      res.status(500).json({ success: false, message: 'Failed to grant access' });
+    }
+  });
+
+  router.delete('/franchises/:franchiseId/managers/:managerId', async (req, res) => {
+    const { franchiseId, managerId } = req.params;
+    const areaId = req.query.area_id || null;
+
+    try {
+      if (!(await hasOrgAccess(req.manager, franchiseId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this franchise' });
+      }
+
+      const result = await pool.query(`
+        DELETE FROM manager_org_links
+        WHERE manager_id = $1 AND franchise_id = $2 AND area_id IS NOT DISTINCT FROM $3
+        RETURNING link_id
+      `, [managerId, franchiseId, areaId]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Access link not found' });
+      }
+
+      console.log(`✅ Manager ${managerId} ${areaId ? `area ${areaId}` : `franchise ${franchiseId}`} access removed by manager ${req.manager.manager_id}`);
+
+      res.json({ success: true, message: 'Access removed' });
+    } catch (error) {
+      console.error('❌ Error removing org access:', error);
+      res.status(500).json({ success: false, message: 'Failed to remove access' });
+    }
+  });
+
+  // Compliance, incidents and block spend across every store in the franchise
+  router.get('/franchises/:franchiseId/rollup', async (req, res) => {
+    const { franchiseId } = req.params;
+
+    try {
+      if (!(await hasOrgAccess(req.manager, franchiseId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this franchise' });
+      }
+
+      const locations = await pool.query(`
+        SELECT location_id, store_id, city, area_id
+        FROM locations
+        WHERE franchise_id = $1
+        ORDER BY store_id
+      `, [franchiseId]);
+
+      await sendRollup(req, res, { franchiseId: parseInt(franchiseId) }, locations.rows);
+    } catch (error) {
+      console.error('❌ Error fetching franchise rollup:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch franchise rollup' });
+    }
+  });
+
+  router.get('/areas/:areaId/rollup', async (req, res) => {
+    const { areaId } = req.params;
+
+    try {
+      const area = await getArea(areaId);
+      if (!area) {
+        return res.status(404).json({ success: false, message: 'Area not found' });
+      }
+
+      if (!(await hasOrgAccess(req.manager, area.franchise_id, area.area_id))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this area' });
+      }
+
+      const locations = await pool.query(`
+        SELECT location_id, store_id, city, area_id
+        FROM locations
+        WHERE area_id = $1
+        ORDER BY store_id
+      `, [areaId]);
+
+      await sendRollup(req, res, { areaId: area.area_id, franchiseId: area.franchise_id, name: area.name }, locations.rows);
+    } catch (error) {
+      console.error('❌ Error fetching area rollup:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch area rollup' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,384 @@
+const express = require('express');
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const validatePeriod = (startDate, endDate) => {
+  if (!startDate || !endDate) {
+    return 'Missing startDate or endDate';
+  }
+  if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate)) {
+    return 'startDate and endDate must be YYYY-MM-DD dates';
+  }
+  if (endDate < startDate) {
+    return 'endDate must not be before startDate';
+  }
+  return null;
+};
+
+module.exports = (pool, blockService, payoutService) => {
+  // Add a bonus, tip, cancellation fee or deduction for a driver
+  router.post('/locations/:locationId/payout-adjustments', async (req, res) => {
+    const { locationId } = req.params;
+    const { manager_id, driver_id, claim_id, adjustment_type, amount, effective_date, note } = req.body;
+
+    if (!manager_id || !driver_id || !adjustment_type || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields. Required: manager_id, driver_id, adjustment_type, amount'
+      });
+    }
+
+    if (!payoutService.adjustmentTypes.includes(adjustment_type)) {
+      return res.status(400).json({
+        success: false,
+        message: `adjustment_type must be one of: ${payoutService.adjustmentTypes.join(', ')}`
+      });
+    }
+
+    if (!(parseFloat(amount) > 0)) {
+      return res.status(400).json({ success: false, message: 'amount must be a positive number' });
+    }
+
+    if (effective_date && !DATE_PATTERN.test(effective_date)) {
+      return res.status(400).json({ success: false, message: 'effective_date must be a YYYY-MM-DD date' });
+    }
+
+    try {
+      await blockService.verifyManagerLocation(pool, manager_id, locationId);
+    } catch (err) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+
+    try {
+      // An adjustment tied to a claim must belong to that driver at this location
+      if (claim_id) {
+        const claimCheck = await pool.query(`
+          SELECT bc.cancellation_fee FROM block_claims bc
+          JOIN blocks b ON bc.block_id = b.block_id
+          WHERE bc.claim_id = $1 AND bc.driver_id = $2 AND b.location_id = $3
+        `, [claim_id, driver_id, locationId]);
+
+        if (claimCheck.rows.length === 0) {
+          return res.status(400).json({ success: false, message: 'Claim not found for this driver at this location' });
+        }
+
+        // Statements already pay the fee recorded when the manager cancelled the claim
+        if (adjustment_type === 'cancellation_fee' && parseFloat(claimCheck.rows[0].cancellation_fee) > 0) {
+          return res.status(409).json({ success: false, message: 'This claim already has a cancellation fee' });
+        }
+      }
+
+      // Approved or paid statements are final
+      const lockedCheck = await pool.query(`
+        SELECT statement_id FROM payout_statements
+        WHERE location_id = $1 AND driver_id = $2
+          AND status IN ('approved', 'paid')
+          AND COALESCE($3::date, CURRENT_DATE) BETWEEN period_start AND period_end
+        LIMIT 1
+      `, [locationId, driver_id, effective_date || null]);
+
+      if (lockedCheck.rows.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'An approved statement already covers this date',
+          statementId: lockedCheck.rows[0].statement_id
+        });
+      }
+
+      const result = await pool.query(`
+        INSERT INTO payout_adjustments (
+          location_id, driver_id, claim_id, adjustment_type, amount, effective_date, note, created_by, created_at
+        ) VALUES ($1, $2, $3, $4, $5, COALESCE($6::date, CURRENT_DATE), $7, $8, NOW())
+        RETURNING *
+      `, [locationId, driver_id, claim_id || null, adjustment_type, amount, effective_date || null, note || null, manager_id]);
+
+      res.status(201).json({ success: true, adjustment: result.rows[0] });
+    } catch (error) {
+      console.error('Error creating payout adjustment:', error);
+      res.status(500).json({ success: false, message: 'Failed to create payout adjustment' });
+    }
+  });
+
+  // Computed earnings for a period without saving anything
+  router.get('/locations/:locationId/payouts/preview', async (req, res) => {
+    const { locationId } = req.params;
+    const { managerId, startDate, endDate, driverId } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    const periodError = validatePeriod(startDate, endDate);
+    if (periodError) {
+      return res.status(400).json({ success: false, message: periodError });
+    }
+
+    try {
+      if (!(await blockService.hasLocationAccess(managerId, locationId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const statements = await payoutService.computeStatements(
+        pool, locationId, startDate, endDate, driverId ? parseInt(driverId) : null
+      );
+
+      res.json({
+        success: true,
+        periodStart: startDate,
+        periodEnd: endDate,
+        totalAmount: Math.round(statements.reduce((sum, s) => sum + s.totalAmount, 0) * 100) / 100,
+        statements
+      });
+    } catch (error) {
+      console.error('Error computing payouts:', error);
+      res.status(500).json({ success: false, message: 'Failed to compute payouts' });
+    }
+  });
+
+  // Generate draft statements for every driver with earnings in the period.
+  // Existing drafts for exactly the same period are replaced; approved ones block
+  // regeneration. A draft for a different but overlapping period rejects the request,
+  // since replacing it would drop the days outside this period.
+  router.post('/locations/:locationId/payout-statements', async (req, res) => {
+    const { locationId } = req.params;
+    const { manager_id, start_date, end_date } = req.body;
+
+    if (!manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id' });
+    }
+
+    const periodError = validatePeriod(start_date, end_date);
+    if (periodError) {
+      return res.status(400).json({ success: false, message: periodError });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await blockService.verifyManagerLocation(client, manager_id, locationId);
+
+      const statements = await payoutService.computeStatements(client, locationId, start_date, end_date);
+
+      const overlapping = await client.query(`
+        SELECT
+          statement_id,
+          driver_id,
+          status,
+          to_char(period_start, 'YYYY-MM-DD') as period_start_date,
+          to_char(period_end, 'YYYY-MM-DD') as period_end_date
+        FROM payout_statements
+        WHERE location_id = $1
+          AND period_start <= $3::date
+          AND period_end >= $2::date
+      `, [locationId, start_date, end_date]);
+
+      const partialDrafts = overlapping.rows.filter(row =>
+        row.status === 'draft' && (row.period_start_date !== start_date || row.period_end_date !== end_date));
+
+      if (partialDrafts.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'Draft statements for a different period overlap this one',
+          statementIds: partialDrafts.map(row => row.statement_id)
+        });
+      }
+
+      const lockedDrivers = new Set(
+        overlapping.rows.filter(row => row.status !== 'draft').map(row => row.driver_id)
+      );
+
+      await client.query(`
+        DELETE FROM payout_statements
+        WHERE location_id = $1
+          AND status = 'draft'
+          AND period_start = $2::date
+          AND period_end = $3::date
+      `, [locationId, start_date, end_date]);
+
+      const created = [];
+      const skipped = [];
+
+      for (const statement of statements) {
+        if (lockedDrivers.has(statement.driverId)) {
+          skipped.push({ driverId: statement.driverId, reason: 'An approved statement overlaps this period' });
+          continue;
+        }
+
+        const result = await client.query(`
+          INSERT INTO payout_statements (
+            location_id, driver_id, period_start, period_end, completed_blocks, hours_worked,
+            base_amount, adjustments_amount, total_amount, line_items, status, created_by, created_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::jsonb, 'draft', $11, NOW())
+          RETURNING *
+        `, [
+          locationId,
+          statement.driverId,
+          start_date,
+          end_date,
+          statement.completedBlocks,
+          statement.hoursWorked,
+          statement.baseAmount,
+          statement.adjustmentsAmount,
+          statement.totalAmount,
+          JSON.stringify(statement.lineItems),
+          manager_id
+        ]);
+
+        created.push({ ...result.rows[0], driver_name: statement.fullName });
+      }
+
+      await client.query('COMMIT');
+
+      console.log(`✅ ${created.length} payout statements generated for location ${locationId} (${start_date} to ${end_date})`);
+
+      res.status(201).json({ success: true, created: created.length, statements: created, skipped });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('❌ Error generating payout statements:', err);
+      if (err.message && !err.code) {
+        return res.status(403).json({ success: false, message: err.message });
+      }
+      res.status(500).json({ success: false, message: 'Failed to generate payout statements' });
+    } finally {
+      client.release();
+    }
+  });
+
+  const statementListQuery = `
+    SELECT
+      ps.*,
+      to_char(ps.period_start, 'YYYY-MM-DD') as period_start_date,
+      to_char(ps.period_end, 'YYYY-MM-DD') as period_end_date,
+      d.first_name || ' ' || d.last_name as driver_name,
+      d.email as driver_email,
+      l.store_id,
+      m.first_name || ' ' || m.last_name as approved_by_name
+    FROM payout_statements ps
+    JOIN drivers d ON ps.driver_id = d.driver_id
+    JOIN locations l ON ps.location_id = l.location_id
+    LEFT JOIN managers m ON ps.approved_by = m.manager_id
+    WHERE ps.location_id = $1
+      AND ($2::text IS NULL OR ps.status = $2)
+      AND ($3::date IS NULL OR ps.period_end >= $3::date)
+      AND ($4::date IS NULL OR ps.period_start <= $4::date)
+    ORDER BY ps.period_start DESC, driver_name
+  `;
+
+  // List statements for a location
+  router.get('/locations/:locationId/payout-statements', async (req, res) => {
+    const { locationId } = req.params;
+    const { managerId, status, startDate, endDate } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      if (!(await blockService.hasLocationAccess(managerId, locationId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const result = await pool.query(statementListQuery, [
+        locationId, status || null, startDate || null, endDate || null
+      ]);
+
+      res.json({ success: true, statements: result.rows });
+    } catch (error) {
+      console.error('Error fetching payout statements:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch payout statements' });
+    }
+  });
+
+  // CSV export for payroll
+  router.get('/locations/:locationId/payout-statements/export.csv', async (req, res) => {
+    const { locationId } = req.params;
+    const { managerId, status, startDate, endDate } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      if (!(await blockService.hasLocationAccess(managerId, locationId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const result = await pool.query(statementListQuery, [
+        locationId, status || 'approved', startDate || null, endDate || null
+      ]);
+
+      const fileName = `payouts-${locationId}-${startDate || 'all'}-${endDate || 'all'}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(payoutService.toCsv(result.rows));
+    } catch (error) {
+      console.error('Error exporting payout statements:', error);
+      res.status(500).json({ success: false, message: 'Failed to export payout statements' });
+    }
+  });
+
+  // draft -> approved -> paid
+  const transitionStatement = (fromStatus, toStatus, timestampColumn) => async (req, res) => {
+    const { statementId } = req.params;
+    const { manager_id } = req.body;
+
+    if (!manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id' });
+    }
+
+    try {
+      const existing = await pool.query(
+        'SELECT statement_id, location_id, status FROM payout_statements WHERE statement_id = $1',
+        [statementId]
+      );
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Payout statement not found' });
+      }
+
+      const statement = existing.rows[0];
+
+      try {
+        await blockService.verifyManagerLocation(pool, manager_id, statement.location_id);
+      } catch (err) {
+        return res.status(403).json({ success: false, message: err.message });
+      }
+
+      if (statement.status !== fromStatus) {
+        return res.status(409).json({
+          success: false,
+          message: `Statement is ${statement.status}, expected ${fromStatus}`
+        });
+      }
+
+      const result = await pool.query(`
+        UPDATE payout_statements
+        SET status = $2,
+            ${timestampColumn} = NOW(),
+            approved_by = CASE WHEN $2 = 'approved' THEN $3 ELSE approved_by END
+        WHERE statement_id = $1 AND status = $4
+        RETURNING *
+      `, [statementId, toStatus, manager_id, fromStatus]);
+
+      if (result.rows.length === 0) {
+        return res.status(409).json({ success: false, message: 'Statement was changed by someone else' });
+      }
+
+      console.log(`✅ Payout statement ${statementId} ${toStatus} by manager ${manager_id}`);
+
+      res.json({ success: true, statement: result.rows[0] });
+    } catch (error) {
+      console.error(`Error marking payout statement ${toStatus}:`, error);
+      res.status(500).json({ success: false, message: 'Failed to update payout statement' });
+    }
+  };
+
+  router.post('/payout-statements/:statementId/approve', transitionStatement('draft', 'approved', 'approved_at'));
+  router.post('/payout-statements/:statementId/mark-paid', transitionStatement('approved', 'paid', 'paid_at'));
+
+  return router;
+};
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+
+const MAX_PLAN_DAYS = 7;
+const MAX_PLAN_BLOCKS = 50;
+
+module.exports = (pool, blockService, staffingPlanService) => {
+  const getStore = async (managerId, locationId) => {
+    const result = await pool.query(`
+      SELECT l.*
+      FROM locations l
+      JOIN manager_store_access msl ON l.store_id = msl.store_id
+      WHERE l.location_id = $1 AND msl.manager_id = $2
+    `, [locationId, managerId]);
+    return result.rows[0] || null;
+  };
+
+  // Proposed blocks from the store's intelligence forecast for the next 1-7 days
+  router.get('/locations/:locationId/staffing-plan', async (req, res) => {
+    const { locationId } = req.params;
+    const { managerId } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 3, 1), MAX_PLAN_DAYS);
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      const store = await getStore(managerId, locationId);
+      if (!store) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const plan = await staffingPlanService.buildPlan(store, days);
+
+      res.json({ success: true, locationId: parseInt(locationId), plan });
+    } catch (error) {
+      console.error('Error building staffing plan:', error);
+      res.status(500).json({ success: false, message: 'Failed to build staffing plan' });
+    }
+  });
+
+  // Create the missing blocks for the slots the manager accepted. Slots come from
+  // the plan response (amounts may be edited); posted blocks are re-counted here so
+  // accepting twice doesn't double up.
+  router.post('/locations/:locationId/staffing-plan/accept', async (req, res) => {
+    const { locationId } = req.params;
+    const { manager_id, slots } = req.body;
+
+    if (!manager_id || !Array.isArray(slots) || slots.length === 0) {
+      return res.status(400).json({ success: false, message: 'Missing required fields. Required: manager_id, slots' });
+    }
+
+    for (const [index, slot] of slots.entries()) {
+      const start = new Date(slot.start_time);
+      const end = new Date(slot.end_time);
+      if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+        return res.status(400).json({ success: false, message: `Slot ${index}: invalid start_time/end_time` });
+      }
+      if (!(parseFloat(slot.suggestedAmount) > 0)) {
+        return res.status(400).json({ success: false, message: `Slot ${index}: suggestedAmount must be a positive number` });
+      }
+      if (!Number.isInteger(slot.driversNeeded) || slot.driversNeeded < 1) {
+        return res.status(400).json({ success: false, message: `Slot ${index}: driversNeeded must be a positive integer` });
+      }
+      if (start <= new Date()) {
+        return res.status(400).json({ success: false, message: `Slot ${index}: start_time must be in the future` });
+      }
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const manager = await blockService.verifyManagerLocation(client, manager_id, locationId);
+      const offsetMinutes = blockService.parseTimezoneOffset(manager.time_zone_code);
+
+      // Serialize accepts per location so concurrent requests see each other's blocks
+      await client.query('SELECT pg_advisory_xact_lock($1)', [parseInt(locationId)]);
+
+      const posted = await staffingPlanService.countPostedBlocks(client, locationId, slots);
+      const toCreate = slots.reduce((sum, slot, index) => sum + Math.max(0, slot.driversNeeded - posted[index]), 0);
+
+      if (toCreate > MAX_PLAN_BLOCKS) {
+        throw new Error(`A maximum of ${MAX_PLAN_BLOCKS} blocks can be created from a plan at once`);
+      }
+
+      const results = [];
+      for (const [index, slot] of slots.entries()) {
+        const missing = Math.max(0, slot.driversNeeded - posted[index]);
+        const blockIds = [];
+
+        for (let i = 0; i < missing; i++) {
+          const block = await blockService.insertBlock(client, {
+            location_id: locationId,
+            start_time: slot.start_time,
+            end_time: slot.end_time,
+            amount: slot.suggestedAmount,
+            date: blockService.getLocalDateString(new Date(slot.start_time), offsetMinutes),
+            manager_id
+          }, { source: 'staffing_plan', reason: slot.reason || null });
+          blockIds.push(block.block_id);
+        }
+
+        results.push({
+          slot: index,
+          start_time: slot.start_time,
+          end_time: slot.end_time,
+          postedBlocks: posted[index],
+          created: blockIds.length,
+          blockIds
+        });
+      }
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Staffing plan accepted by manager ${manager_id} at location ${locationId}: ${toCreate} blocks created`);
+
+      res.status(toCreate > 0 ? 201 : 200).json({ success: true, created: toCreate, results });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('❌ Error accepting staffing plan:', err);
+      if (err.message && !err.code) {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+      res.status(500).json({ success: false, message: 'Failed to create blocks from staffing plan' });
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+
+const LINK_APPROVAL_POLICIES = ['auto', 'approval'];
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+module.exports = (pool, storeLinkService) => {
+  // Link requests waiting on (or decided by) the store's general managers
+  router.get('/stores/:storeId/link-requests', async (req, res) => {
+    const { storeId } = req.params;
+    const status = req.query.status || 'pending';
+
+    if (!REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${REQUEST_STATUSES.join(', ')}` });
+    }
+
+    try {
+      const result = await pool.query(`
+        SELECT
+          r.*,
+          m.first_name || ' ' || m.last_name as manager_name,
+          m.phone_number as manager_phone,
+          u.email as manager_email,
+          dm.first_name || ' ' || dm.last_name as decided_by_name
+        FROM store_link_requests r
+        JOIN managers m ON r.manager_id = m.manager_id
+        LEFT JOIN users u ON m.user_id = u.user_id
+        LEFT JOIN managers dm ON r.decided_by = dm.manager_id
+        WHERE r.store_id = $1 AND r.status = $2
+        ORDER BY r.requested_at DESC
+      `, [storeId, status]);
+
+      res.json({ success: true, requests: result.rows });
+    } catch (error) {
+      console.error('❌ Error fetching store link requests:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch link requests' });
+    }
+  });
+
+  const decideRequest = (approve) => async (req, res) => {
+    const { storeId, requestId } = req.params;
+    const { note } = req.body;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const requestResult = await client.query(
+        'SELECT * FROM store_link_requests WHERE request_id = $1 AND store_id = $2 FOR UPDATE',
+        [requestId, storeId]
+      );
+
+      if (requestResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'Link request not found' });
+      }
+
+      const request = requestResult.rows[0];
+      if (request.status !== 'pending') {
+        throw new Error(`Link request is already ${request.status}`);
+      }
+
+      if (approve) {
+        await storeLinkService.createLink(client, request.manager_id, request.store_id);
+      }
+
+      const result = await client.query(`
+        UPDATE store_link_requests
+        SET status = $2, decided_by = $3, decided_at = NOW(), decision_note = $4
+        WHERE request_id = $1
+        RETURNING *
+      `, [requestId, approve ? 'approved' : 'rejected', req.manager.manager_id, note || null]);
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Store link request ${requestId} ${approve ? 'approved' : 'rejected'} by manager ${req.manager.manager_id}`);
+
+      res.json({ success: true, request: result.rows[0] });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('❌ Error deciding store link request:', err);
+      if (err.message && !err.code) {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+      res.status(500).json({ success: false, message: 'Failed to update link request' });
+    } finally {
+      client.release();
+    }
+  };
+
+  router.post('/stores/:storeId/link-requests/:requestId/approve', decideRequest(true));
+  router.post('/stores/:storeId/link-requests/:requestId/reject', decideRequest(false));
+
+  router.put('/stores/:storeId/link-policy', async (req, res) => {
+    const { storeId } = req.params;
+    const { policy } = req.body;
+
+    if (!LINK_APPROVAL_POLICIES.includes(policy)) {
+      return res.status(400).json({ success: false, message: `policy must be one of: ${LINK_APPROVAL_POLICIES.join(', ')}` });
+    }
+
+    try {
+      if (policy === 'approval' && (await storeLinkService.getApprovers(storeId)).length === 0) {
+        return res.status(400).json({ success: false, message: 'The store needs a general manager before link approval can be required' });
+      }
+
+      const result = await pool.query(`
+        UPDATE locations SET link_approval_policy = $2
+        WHERE store_id = $1
+        RETURNING store_id, link_approval_policy
+      `, [storeId, policy]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Store not found' });
+      }
+
+      console.log(`✅ Store ${storeId} link policy set to ${policy} by manager ${req.manager.manager_id}`);
+
+      res.json({ success: true, storeId: result.rows[0].store_id, policy: result.rows[0].link_approval_policy });
+    } catch (error) {
+      console.error('❌ Error updating link policy:', error);
+      res.status(500).json({ success: false, message: 'Failed to update link policy' });
+    }
+  });
+
+  // Failed FCODE attempts against the store, for spotting someone guessing
+  router.get('/stores/:storeId/link-attempts', async (req, res) => {
+    const { storeId } = req.params;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+
+    try {
+      const result = await pool.query(`
+        SELECT
+          a.attempt_id,
+          a.manager_id,
+          m.first_name || ' ' || m.last_name as manager_name,
+          a.ip_address,
+          a.user_agent,
+          a.created_at
+        FROM store_link_attempts a
+        LEFT JOIN managers m ON a.manager_id = m.manager_id
+        WHERE a.store_id = $1
+          AND a.success = false
+          AND a.created_at > NOW() - make_interval(days => $2::int)
+        ORDER BY a.created_at DESC
+        LIMIT 500
+      `, [String(storeId), days]);
+
+      const lockout = await storeLinkService.getLockout(null, storeId);
+
+      res.json({
+        success: true,
+        days,
+        locked: !!lockout && lockout.scope === 'store',
+        retryAfterSeconds: lockout ? lockout.retryAfterSeconds : null,
+        attempts: result.rows
+      });
+    } catch (error) {
+      console.error('❌ Error fetching store link attempts:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch link attempts' });
+    }
+  });
+
+  // The signed-in manager's own link requests
+  router.get('/store-link-requests', async (req, res) => {
+    try {
+      const result = await pool.query(`
+        SELECT r.request_id, r.store_id, l.city, r.status, r.requested_at, r.decided_at, r.decision_note
+        FROM store_link_requests r
+        LEFT JOIN locations l ON r.store_id = l.store_id
+        WHERE r.manager_id = $1
+        ORDER BY r.requested_at DESC
+      `, [req.manager.manager_id]);
+
+      res.json({ success: true, requests: result.rows });
+    } catch (error) {
+      console.error('❌ Error fetching own link requests:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch link requests' });
+    }
+  });
+
+  router.post('/store-link-requests/:requestId/cancel', async (req, res) => {
+    const { requestId } = req.params;
+
+    try {
+      const result = await pool.query(`
+        UPDATE store_link_requests
+        SET status = 'cancelled', decided_at = NOW()
+        WHERE request_id = $1 AND manager_id = $2 AND status = 'pending'
+        RETURNING *
+      `, [requestId, req.manager.manager_id]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'No pending link request found' });
+      }
+
+      res.json({ success: true, request: result.rows[0] });
+    } catch (error) {
+      console.error('❌ Error cancelling link request:', error);
+      res.status(500).json({ success: false, message: 'Failed to cancel link request' });
+    }
+  });
+
+  return router;
+};
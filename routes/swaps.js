@@ -0,0 +1,521 @@
+const express = require('express');
+const router = express.Router();
+
+const SWAP_POLICIES = ['manager', 'auto'];
+
+module.exports = (pool, blockService, driverService) => {
+  // Locks an offer together with its block and the claim being given away
+  const lockOffer = async (client, swapId) => {
+    const result = await client.query(`
+      SELECT
+        so.*,
+        b.start_time,
+        b.status as block_status,
+        l.swap_approval_policy,
+        bc.driver_id as claim_driver_id,
+        bc.cancellation_type,
+        bc.check_in_time,
+        bc.service_status
+      FROM block_swap_offers so
+      JOIN blocks b ON so.block_id = b.block_id
+      JOIN locations l ON so.location_id = l.location_id
+      JOIN block_claims bc ON so.original_claim_id = bc.claim_id
+      WHERE so.swap_id = $1
+      FOR UPDATE OF so, b, bc
+    `, [swapId]);
+
+    return result.rows[0] || null;
+  };
+
+  // Why the original claim can no longer be handed over, or null
+  const getTransferBlocker = (offer) => {
+    if (offer.cancellation_type) return 'The original claim has been cancelled';
+    if (offer.check_in_time) return 'The original driver has already checked in';
+    if (new Date(offer.start_time) <= new Date()) return 'Block has already started';
+    return null;
+  };
+
+  // Cancels the original claim and creates the picking-up driver's claim in its place
+  const completeSwap = async (client, offer, decidedBy = null, note = null) => {
+    await client.query(`
+      UPDATE block_claims
+      SET
+        cancellation_type = 'swapped',
+        cancelled_by = $2,
+        cancelled_at = NOW(),
+        cancellation_reason = $3,
+        service_status = 'cancelled'
+      WHERE claim_id = $1
+    `, [offer.original_claim_id, decidedBy, offer.reason || `Swapped to driver ${offer.picked_up_by}`]);
+
+    const claimResult = await client.query(`
+      INSERT INTO block_claims (block_id, driver_id, claim_time, swapped_from_claim_id)
+      VALUES ($1, $2, NOW(), $3)
+      RETURNING claim_id, claim_time
+    `, [offer.block_id, offer.picked_up_by, offer.original_claim_id]);
+
+    const newClaim = claimResult.rows[0];
+
+    await client.query(`
+      UPDATE block_swap_offers
+      SET status = 'completed', new_claim_id = $2, decided_by = $3, decided_at = NOW(), decision_note = $4
+      WHERE swap_id = $1
+    `, [offer.swap_id, newClaim.claim_id, decidedBy, note]);
+
+    await client.query('UPDATE blocks SET updated_at = NOW() WHERE block_id = $1', [offer.block_id]);
+
+    await blockService.recordHistory(client, {
+      blockId: offer.block_id,
+      claimId: newClaim.claim_id,
+      action: 'swap_completed',
+      changedBy: decidedBy,
+      source: decidedBy === null ? 'swap_auto_approval' : 'api',
+      before: { claim_id: offer.original_claim_id, driver_id: offer.offered_by },
+      after: {
+        claim_id: newClaim.claim_id,
+        driver_id: offer.picked_up_by,
+        swap_id: offer.swap_id,
+        auto_approved: decidedBy === null
+      },
+      reason: note
+    });
+
+    return newClaim;
+  };
+
+  // Shared error handling for the transactional swap endpoints
+  const handleSwapError = (res, err, action) => {
+    console.error(`❌ Error ${action}:`, err);
+    if (err.code === '23505') {
+      return res.status(409).json({ success: false, message: 'This block is already offered' });
+    }
+    if (err.message && !err.code) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  };
+
+  // The claiming driver offers their block to other drivers
+  router.post('/claims/:claimId/swap-offer', async (req, res) => {
+    const { claimId } = req.params;
+    const { driver_id, reason } = req.body;
+
+    if (!driver_id) {
+      return res.status(400).json({ success: false, message: 'Missing driver_id' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const claimResult = await client.query(`
+        SELECT bc.claim_id, bc.driver_id, bc.cancellation_type, bc.check_in_time, bc.service_status,
+               b.block_id, b.location_id, b.start_time
+        FROM block_claims bc
+        JOIN blocks b ON bc.block_id = b.block_id
+        WHERE bc.claim_id = $1
+        FOR UPDATE OF bc
+      `, [claimId]);
+
+      if (claimResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'Claim not found' });
+      }
+
+      const claim = claimResult.rows[0];
+
+      if (String(claim.driver_id) !== String(driver_id)) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ success: false, message: 'Claim does not belong to this driver' });
+      }
+
+      const blocker = getTransferBlocker(claim);
+      if (blocker) {
+        throw new Error(blocker);
+      }
+
+      if (claim.service_status === 'no_show') {
+        throw new Error('Claim was marked as a no-show');
+      }
+
+      const offerResult = await client.query(`
+        INSERT INTO block_swap_offers (block_id, location_id, original_claim_id, offered_by, reason, status, created_at)
+        VALUES ($1, $2, $3, $4, $5, 'open', NOW())
+        RETURNING *
+      `, [claim.block_id, claim.location_id, claim.claim_id, driver_id, reason || null]);
+
+      await blockService.recordHistory(client, {
+        blockId: claim.block_id,
+        claimId: claim.claim_id,
+        action: 'swap_offered',
+        actorType: req.driver ? 'driver' : 'unverified_driver',
+        actorId: claim.driver_id,
+        after: { swap_id: offerResult.rows[0].swap_id, driver_id: claim.driver_id },
+        reason: reason || null
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`🔁 Driver ${driver_id} offered block ${claim.block_id} for swap (offer ${offerResult.rows[0].swap_id})`);
+
+      res.status(201).json({ success: true, offer: offerResult.rows[0] });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleSwapError(res, err, 'creating swap offer');
+    } finally {
+      client.release();
+    }
+  });
+
+  // Open offers a driver could pick up, with eligibility per location
+  router.get('/swap-offers', async (req, res) => {
+    const { driver_id, location_id } = req.query;
+
+    if (!driver_id) {
+      return res.status(400).json({ success: false, message: 'Missing driver_id' });
+    }
+
+    try {
+      const result = await pool.query(`
+        SELECT
+          so.swap_id,
+          so.block_id,
+          so.location_id,
+          so.reason,
+          so.created_at,
+          to_char(b.date, 'YYYY-MM-DD') as date,
+          b.start_time,
+          b.end_time,
+          b.amount,
+          l.store_id,
+          l.city,
+          l.time_zone_code
+        FROM block_swap_offers so
+        JOIN blocks b ON so.block_id = b.block_id
+        JOIN locations l ON so.location_id = l.location_id
+        WHERE so.status = 'open'
+          AND so.offered_by <> $1
+          AND b.start_time > NOW()
+          AND ($2::int IS NULL OR so.location_id = $2)
+        ORDER BY b.start_time
+      `, [driver_id, location_id || null]);
+
+      const restrictionsByLocation = new Map();
+      for (const offer of result.rows) {
+        if (!restrictionsByLocation.has(offer.location_id)) {
+          restrictionsByLocation.set(
+            offer.location_id,
+            await driverService.getClaimRestrictions(pool, driver_id, offer.location_id)
+          );
+        }
+      }
+
+      const offers = result.rows.map(offer => {
+        const reasons = restrictionsByLocation.get(offer.location_id);
+        return { ...offer, eligible: reasons.length === 0, reasons };
+      });
+
+      res.json({ success: true, offers });
+    } catch (error) {
+      console.error('Error fetching swap offers:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch swap offers' });
+    }
+  });
+
+  // Another driver picks up an open offer. Under the 'auto' policy the block
+  // transfers immediately; otherwise it waits for a manager.
+  router.post('/swap-offers/:swapId/pick-up', async (req, res) => {
+    const { swapId } = req.params;
+    const { driver_id } = req.body;
+
+    if (!driver_id) {
+      return res.status(400).json({ success: false, message: 'Missing driver_id' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const offer = await lockOffer(client, swapId);
+
+      if (!offer) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'Swap offer not found' });
+      }
+
+      if (offer.status !== 'open') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ success: false, message: `Swap offer is ${offer.status}` });
+      }
+
+      if (String(offer.offered_by) === String(driver_id)) {
+        throw new Error('You cannot pick up your own offer');
+      }
+
+      const blocker = getTransferBlocker(offer);
+      if (blocker) {
+        throw new Error(blocker);
+      }
+
+      const restrictions = await driverService.getClaimRestrictions(client, driver_id, offer.location_id);
+      if (restrictions.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ success: false, message: restrictions[0].message, reasons: restrictions });
+      }
+
+      await client.query(`
+        UPDATE block_swap_offers
+        SET status = 'pending_approval', picked_up_by = $2, picked_up_at = NOW()
+        WHERE swap_id = $1
+      `, [offer.swap_id, driver_id]);
+
+      await blockService.recordHistory(client, {
+        blockId: offer.block_id,
+        claimId: offer.original_claim_id,
+        action: 'swap_picked_up',
+        actorType: req.driver ? 'driver' : 'unverified_driver',
+        actorId: driver_id,
+        after: { swap_id: offer.swap_id, driver_id: parseInt(driver_id) }
+      });
+
+      let newClaim = null;
+      if (offer.swap_approval_policy === 'auto') {
+        newClaim = await completeSwap(client, { ...offer, picked_up_by: driver_id });
+      }
+
+      await client.query('COMMIT');
+
+      console.log(`🔁 Driver ${driver_id} picked up swap offer ${offer.swap_id}${newClaim ? ' (auto-approved)' : ''}`);
+
+      res.json({
+        success: true,
+        status: newClaim ? 'completed' : 'pending_approval',
+        claimId: newClaim ? newClaim.claim_id : null
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleSwapError(res, err, 'picking up swap offer');
+    } finally {
+      client.release();
+    }
+  });
+
+  // The offering driver takes an offer back before it transfers
+  router.post('/swap-offers/:swapId/withdraw', async (req, res) => {
+    const { swapId } = req.params;
+    const { driver_id } = req.body;
+
+    if (!driver_id) {
+      return res.status(400).json({ success: false, message: 'Missing driver_id' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const offer = await lockOffer(client, swapId);
+
+      if (!offer) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'Swap offer not found' });
+      }
+
+      if (String(offer.offered_by) !== String(driver_id)) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ success: false, message: 'Swap offer does not belong to this driver' });
+      }
+
+      if (!['open', 'pending_approval'].includes(offer.status)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ success: false, message: `Swap offer is ${offer.status}` });
+      }
+
+      await client.query(
+        `UPDATE block_swap_offers SET status = 'withdrawn' WHERE swap_id = $1`,
+        [offer.swap_id]
+      );
+
+      await blockService.recordHistory(client, {
+        blockId: offer.block_id,
+        claimId: offer.original_claim_id,
+        action: 'swap_withdrawn',
+        actorType: req.driver ? 'driver' : 'unverified_driver',
+        actorId: offer.offered_by,
+        before: { status: offer.status, picked_up_by: offer.picked_up_by }
+      });
+
+      await client.query('COMMIT');
+
+      res.json({ success: true, message: 'Swap offer withdrawn' });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleSwapError(res, err, 'withdrawing swap offer');
+    } finally {
+      client.release();
+    }
+  });
+
+  // Manager decision on a pending pickup. Rejecting puts the offer back on the marketplace.
+  const decideSwap = (approve) => async (req, res) => {
+    const { swapId } = req.params;
+    const { manager_id, note } = req.body;
+
+    if (!manager_id) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const offer = await lockOffer(client, swapId);
+
+      if (!offer) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'Swap offer not found' });
+      }
+
+      await blockService.verifyManagerLocation(client, manager_id, offer.location_id);
+
+      if (offer.status !== 'pending_approval') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ success: false, message: `Swap offer is ${offer.status}` });
+      }
+
+      let newClaim = null;
+
+      if (approve) {
+        const blocker = getTransferBlocker(offer);
+        if (blocker) {
+          throw new Error(blocker);
+        }
+
+        // Rules may have changed since the pickup
+        const restrictions = await driverService.getClaimRestrictions(client, offer.picked_up_by, offer.location_id);
+        if (restrictions.length > 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ success: false, message: restrictions[0].message, reasons: restrictions });
+        }
+
+        newClaim = await completeSwap(client, offer, manager_id, note || null);
+      } else {
+        await client.query(`
+          UPDATE block_swap_offers
+          SET status = 'open', picked_up_by = NULL, picked_up_at = NULL, decision_note = $2
+          WHERE swap_id = $1
+        `, [offer.swap_id, note || null]);
+
+        await blockService.recordHistory(client, {
+          blockId: offer.block_id,
+          claimId: offer.original_claim_id,
+          action: 'swap_rejected',
+          changedBy: manager_id,
+          before: { swap_id: offer.swap_id, picked_up_by: offer.picked_up_by },
+          reason: note || null
+        });
+      }
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Swap offer ${offer.swap_id} ${approve ? 'approved' : 'rejected'} by manager ${manager_id}`);
+
+      res.json({
+        success: true,
+        status: approve ? 'completed' : 'open',
+        claimId: newClaim ? newClaim.claim_id : null
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleSwapError(res, err, approve ? 'approving swap' : 'rejecting swap');
+    } finally {
+      client.release();
+    }
+  };
+
+  router.post('/swap-offers/:swapId/approve', decideSwap(true));
+  router.post('/swap-offers/:swapId/reject', decideSwap(false));
+
+  // Swap offers at a location, for the manager's approval queue
+  router.get('/locations/:locationId/swap-offers', async (req, res) => {
+    const { locationId } = req.params;
+    const { managerId, status } = req.query;
+
+    if (!managerId) {
+      return res.status(400).json({ success: false, message: 'Missing managerId' });
+    }
+
+    try {
+      if (!(await blockService.hasLocationAccess(managerId, locationId))) {
+        return res.status(403).json({ success: false, message: 'Access denied to this location' });
+      }
+
+      const result = await pool.query(`
+        SELECT
+          so.*,
+          to_char(b.date, 'YYYY-MM-DD') as block_date,
+          b.start_time,
+          b.end_time,
+          b.amount,
+          od.first_name || ' ' || od.last_name as offered_by_name,
+          pd.first_name || ' ' || pd.last_name as picked_up_by_name,
+          m.first_name || ' ' || m.last_name as decided_by_name
+        FROM block_swap_offers so
+        JOIN blocks b ON so.block_id = b.block_id
+        JOIN drivers od ON so.offered_by = od.driver_id
+        LEFT JOIN drivers pd ON so.picked_up_by = pd.driver_id
+        LEFT JOIN managers m ON so.decided_by = m.manager_id
+        WHERE so.location_id = $1
+          AND ($2::text IS NULL OR so.status = $2)
+        ORDER BY so.created_at DESC
+      `, [locationId, status || null]);
+
+      res.json({ success: true, offers: result.rows });
+    } catch (error) {
+      console.error('Error fetching location swap offers:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch swap offers' });
+    }
+  });
+
+  // Choose whether pickups need manager approval at this location
+  router.put('/locations/:locationId/swap-policy', async (req, res) => {
+    const { locationId } = req.params;
+    const { manager_id, approval_policy } = req.body;
+
+    if (!manager_id || !approval_policy) {
+      return res.status(400).json({ success: false, message: 'Missing manager_id or approval_policy' });
+    }
+
+    if (!SWAP_POLICIES.includes(approval_policy)) {
+      return res.status(400).json({ success: false, message: `approval_policy must be one of: ${SWAP_POLICIES.join(', ')}` });
+    }
+
+    try {
+      await blockService.verifyManagerLocation(pool, manager_id, locationId);
+    } catch (err) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+
+    try {
+      const result = await pool.query(`
+        UPDATE locations SET swap_approval_policy = $2
+        WHERE location_id = $1
+        RETURNING location_id, swap_approval_policy
+      `, [locationId, approval_policy]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Location not found' });
+      }
+
+      res.json({ success: true, settings: result.rows[0] });
+    } catch (error) {
+      console.error('Error updating swap policy:', error);
+      res.status(500).json({ success: false, message: 'Failed to update swap policy' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,127 @@
+const MAX_DRIVERS_PER_SLOT = 10;
+const MIN_SLOT_MINUTES = 60;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class StaffingPlanService {
+  constructor(dbPool, blockService, intelligenceService) {
+    this.dbPool = dbPool;
+    this.blockService = blockService;
+    this.intelligenceService = intelligenceService;
+  }
+
+  // Average hourly pay of recent blocks at the location, for suggested amounts
+  async getHourlyRate(locationId) {
+    const result = await this.dbPool.query(`
+      SELECT SUM(amount) / NULLIF(SUM(EXTRACT(EPOCH FROM (end_time - start_time)) / 3600), 0) as hourly_rate
+      FROM blocks
+      WHERE location_id = $1
+        AND start_time >= NOW() - INTERVAL '28 days'
+        AND COALESCE(status, '') <> 'cancelled'
+    `, [locationId]);
+
+    const rate = parseFloat(result.rows[0]?.hourly_rate);
+    return rate > 0 ? roundMoney(rate) : (parseFloat(process.env.STAFFING_PLAN_DEFAULT_HOURLY_RATE) || 20);
+  }
+
+  // Turns an insight into staffing windows: event pre/post windows within the
+  // horizon, plus the current recommendation starting at the next half hour.
+  buildSlots(intelligence, days, offsetMinutes) {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    const slots = [];
+
+    const addSlot = (start, end, driversNeeded, reason, eventName = null) => {
+      start = new Date(start);
+      end = new Date(end);
+      if (isNaN(start.getTime()) || isNaN(end.getTime())) return;
+
+      // Windows already under way start now
+      if (start < now) start = now;
+      if (end > horizon || (end - start) / 60000 < MIN_SLOT_MINUTES) return;
+
+      const count = Math.min(MAX_DRIVERS_PER_SLOT, Math.max(0, Math.floor(Number(driversNeeded) || 0)));
+      if (count === 0) return;
+
+      slots.push({
+        start_time: start.toISOString(),
+        end_time: end.toISOString(),
+        date: this.blockService.getLocalDateString(start, offsetMinutes),
+        driversNeeded: count,
+        reason,
+        eventName
+      });
+    };
+
+    const recommended = intelligence?.metrics?.recommendedExtraDrivers || 0;
+    if (recommended > 0) {
+      const blockHours = parseFloat(process.env.STAFFING_PLAN_DEFAULT_BLOCK_HOURS) || 3;
+      const halfHour = 30 * 60 * 1000;
+      const start = new Date(Math.ceil(now.getTime() / halfHour) * halfHour);
+      addSlot(start, new Date(start.getTime() + blockHours * 60 * 60 * 1000), recommended, intelligence.action || 'Current demand forecast');
+    }
+
+    (intelligence?._externalData?.events || []).forEach(event => {
+      if (event.preEventWindow) {
+        addSlot(event.preEventWindow.start, event.preEventWindow.end, event.preEventWindow.staffingNeeded, `Before ${event.name}`, event.name);
+      }
+      if (event.postEventWindow) {
+        addSlot(event.postEventWindow.start, event.postEventWindow.end, event.postEventWindow.staffingNeeded, `After ${event.name}`, event.name);
+      }
+    });
+
+    return slots.sort((a, b) => a.start_time.localeCompare(b.start_time));
+  }
+
+  // Blocks already posted that overlap each slot count toward its need
+  async countPostedBlocks(client, locationId, slots) {
+    const counts = [];
+    for (const slot of slots) {
+      const result = await client.query(`
+        SELECT COUNT(*) as count
+        FROM blocks
+        WHERE location_id = $1
+          AND start_time < $3::timestamptz
+          AND end_time > $2::timestamptz
+          AND COALESCE(status, '') NOT IN ('cancelled', 'expired')
+      `, [locationId, slot.start_time, slot.end_time]);
+      counts.push(parseInt(result.rows[0].count));
+    }
+    return counts;
+  }
+
+  // Proposed blocks for the next `days` days compared with what is already posted
+  async buildPlan(store, days) {
+    const offsetMinutes = this.blockService.parseTimezoneOffset(store.time_zone_code);
+
+    const [intelligence, hourlyRate] = await Promise.all([
+      this.intelligenceService.generateStoreInsight(store),
+      this.getHourlyRate(store.location_id)
+    ]);
+
+    const slots = this.buildSlots(intelligence, days, offsetMinutes);
+    const posted = await this.countPostedBlocks(this.dbPool, store.location_id, slots);
+
+    const planned = slots.map((slot, index) => {
+      const hours = (new Date(slot.end_time) - new Date(slot.start_time)) / 3600000;
+      return {
+        ...slot,
+        suggestedAmount: roundMoney(hourlyRate * hours),
+        postedBlocks: posted[index],
+        missingBlocks: Math.max(0, slot.driversNeeded - posted[index])
+      };
+    });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      days,
+      hourlyRate,
+      insight: intelligence?.insight || null,
+      confidence: intelligence?.metrics?.confidence || null,
+      slots: planned,
+      totalMissingBlocks: planned.reduce((sum, slot) => sum + slot.missingBlocks, 0)
+    };
+  }
+}
+
+module.exports = StaffingPlanService;
@@ -0,0 +1,150 @@
+const { can } = require('./permissions');
+
+class StoreLinkService {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+  }
+
+  getThrottleSettings() {
+    return {
+      maxPerManager: parseInt(process.env.STORE_LINK_MAX_FAILURES_PER_MANAGER) || 5,
+      maxPerStore: parseInt(process.env.STORE_LINK_MAX_FAILURES_PER_STORE) || 10,
+      lockoutMinutes: parseInt(process.env.STORE_LINK_LOCKOUT_MINUTES) || 30
+    };
+  }
+
+  // Too many failed FCODE guesses by this manager (any store) or against this store
+  // (any manager) within the lockout window blocks further attempts. Returns null or
+  // { scope, retryAfterSeconds }. `db` can be a transaction client.
+  async getLockout(managerId, storeId, db = this.dbPool) {
+    const { maxPerManager, maxPerStore, lockoutMinutes } = this.getThrottleSettings();
+
+    // With `limit` failures in the window, the lock lifts when the limit-th most
+    // recent one ages out
+    const unlockAt = async (column, value, limit) => {
+      const result = await db.query(`
+        SELECT created_at + make_interval(mins => $2::int) as unlock_at
+        FROM store_link_attempts
+        WHERE ${column} = $1 AND success = false AND created_at > NOW() - make_interval(mins => $2::int)
+        ORDER BY created_at DESC
+        OFFSET $3
+        LIMIT 1
+      `, [value, lockoutMinutes, limit - 1]);
+      return result.rows.length > 0 ? new Date(result.rows[0].unlock_at) : null;
+    };
+
+    const lockouts = [
+      { scope: 'manager', until: await unlockAt('manager_id', managerId, maxPerManager) },
+      { scope: 'store', until: await unlockAt('store_id', String(storeId), maxPerStore) }
+    ].filter(lockout => lockout.until && lockout.until > new Date());
+
+    if (lockouts.length === 0) {
+      return null;
+    }
+
+    const latest = lockouts.reduce((a, b) => (b.until > a.until ? b : a));
+    return {
+      scope: latest.scope,
+      retryAfterSeconds: Math.ceil((latest.until - Date.now()) / 1000)
+    };
+  }
+
+  async recordAttempt({ managerId, storeId, success, ipAddress = null, userAgent = null }, db = this.dbPool) {
+    await db.query(`
+      INSERT INTO store_link_attempts (manager_id, store_id, success, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [managerId, String(storeId), success, ipAddress, userAgent]);
+  }
+
+  // Runs one PIN guess under per-manager and per-store advisory locks, so parallel
+  // guesses are checked and counted one at a time instead of all passing the lockout
+  // check before any failure is recorded. check(client) returns the matching row or
+  // null. Returns { lockout } when throttled, otherwise { match }.
+  async attemptLink({ managerId, storeId, ipAddress = null, userAgent = null }, check) {
+    const client = await this.dbPool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('store_link_manager'), $1::int)`, [managerId]);
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('store_link_store'), $1::int)`, [storeId]);
+
+      const lockout = await this.getLockout(managerId, storeId, client);
+      if (lockout) {
+        await client.query('COMMIT');
+        return { lockout };
+      }
+
+      const match = await check(client);
+      await this.recordAttempt({ managerId, storeId, success: !!match, ipAddress, userAgent }, client);
+
+      await client.query('COMMIT');
+      return { lockout: null, match };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Remaining failures the manager has before being locked out
+  async getRemainingAttempts(managerId) {
+    const { maxPerManager, lockoutMinutes } = this.getThrottleSettings();
+    const result = await this.dbPool.query(`
+      SELECT COUNT(*) as failures FROM store_link_attempts
+      WHERE manager_id = $1 AND success = false AND created_at > NOW() - make_interval(mins => $2::int)
+    `, [managerId, lockoutMinutes]);
+    return Math.max(maxPerManager - parseInt(result.rows[0].failures), 0);
+  }
+
+  async createLink(client, managerId, storeId) {
+    await client.query(`
+      INSERT INTO manager_store_links (manager_id, store_id, added_at)
+      SELECT $1, $2, NOW()
+      WHERE NOT EXISTS (SELECT 1 FROM manager_store_links WHERE manager_id = $1 AND store_id = $2)
+    `, [managerId, storeId]);
+  }
+
+  // Pending request for the manager and store, created if there isn't one yet
+  async requestLink(managerId, storeId) {
+    const existing = await this.dbPool.query(
+      `SELECT * FROM store_link_requests WHERE manager_id = $1 AND store_id = $2 AND status = 'pending'`,
+      [managerId, storeId]
+    );
+    if (existing.rows.length > 0) {
+      return { request: existing.rows[0], created: false };
+    }
+
+    try {
+      const result = await this.dbPool.query(`
+        INSERT INTO store_link_requests (manager_id, store_id)
+        VALUES ($1, $2)
+        RETURNING *
+      `, [managerId, storeId]);
+      return { request: result.rows[0], created: true };
+    } catch (err) {
+      // A concurrent attempt created it first
+      if (err.code === '23505') {
+        const raced = await this.dbPool.query(
+          `SELECT * FROM store_link_requests WHERE manager_id = $1 AND store_id = $2 AND status = 'pending'`,
+          [managerId, storeId]
+        );
+        return { request: raced.rows[0], created: false };
+      }
+      throw err;
+    }
+  }
+
+  // Managers who can approve link requests for a store
+  async getApprovers(storeId) {
+    const result = await this.dbPool.query(`
+      SELECT m.manager_id, m.first_name, m.last_name, m.role
+      FROM manager_store_access msa
+      JOIN managers m ON msa.manager_id = m.manager_id
+      WHERE msa.store_id = $1 AND m.status = 'active'
+    `, [storeId]);
+    return result.rows.filter(manager => can(manager.role, 'store_links.manage'));
+  }
+}
+
+module.exports = StoreLinkService;
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const createAuth = require('../middleware/auth');
+
+const KID = 'test-key';
+const CLERK_USER_ID = 'user_manager_1';
+
+// Signing key for the tests; its public half is served through CLERK_JWKS_PATH
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const { privateKey: otherPrivateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+const jwksPath = path.join(fixtureDir, 'jwks.json');
+fs.writeFileSync(jwksPath, JSON.stringify({
+  keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }]
+}));
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signToken = (claims = {}, key = privateKey) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: 'RS256', typ: 'JWT', kid: KID });
+  const payload = encode({ sub: CLERK_USER_ID, azp: 'http://localhost:3000', iat: now, exp: now + 60, ...claims });
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), key).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+// Answers the auth middleware's lookups: one active store_manager linked to store 1
+const pool = {
+  query: async (sql, params) => {
+    if (sql.includes('FROM users u')) {
+      return params[0] === CLERK_USER_ID
+        ? { rows: [{ manager_id: 1, status: 'active', role: 'store_manager', user_id: 10 }] }
+        : { rows: [] };
+    }
+    if (sql.includes('FROM drivers')) {
+      return { rows: [] };
+    }
+    if (sql.includes('FROM manager_store_access')) {
+      return { rows: String(params[0]) === '1' && String(params[1]) === '1' ? [{ '?column?': 1 }] : [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+};
+
+const auth = createAuth(pool);
+const guard = auth.guard({ publicRoutes: [], scopes: [], permissions: [] });
+
+// Runs the guard against a minimal request; resolves with the status it sent, or 'next'
+const runGuard = (token, { method = 'GET', path: reqPath = '/blocks', query = {}, body = {} } = {}) =>
+  new Promise(resolve => {
+    const req = {
+      method,
+      path: reqPath,
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+      query,
+      body
+    };
+    const res = {
+      status(code) {
+        return { json: payload => resolve({ status: code, message: payload.message }) };
+      }
+    };
+    guard(req, res, () => resolve({ status: 'next', req }));
+  });
+
+test.before(() => {
+  process.env.CLERK_JWKS_PATH = jwksPath;
+  process.env.CLERK_AUTHORIZED_PARTIES = 'http://localhost:3000';
+});
+
+test.after(() => {
+  delete process.env.CLERK_JWKS_PATH;
+  delete process.env.CLERK_AUTHORIZED_PARTIES;
+  fs.rmSync(fixtureDir, { recursive: true, force: true });
+});
+
+test('accepts a valid token and attaches the manager', async () => {
+  const result = await runGuard(signToken());
+  assert.strictEqual(result.status, 'next');
+  assert.strictEqual(result.req.manager.manager_id, 1);
+  assert.strictEqual(result.req.query.managerId, '1');
+});
+
+test('rejects a request without a token', async () => {
+  const result = await runGuard(null);
+  assert.strictEqual(result.status, 401);
+});
+
+test('rejects a token signed with another key', async () => {
+  await assert.rejects(auth.verifyToken(signToken({}, otherPrivateKey)), { status: 401, message: 'Invalid token signature' });
+
+  const result = await runGuard(signToken({}, otherPrivateKey));
+  assert.strictEqual(result.status, 401);
+});
+
+test('rejects an expired token', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const token = signToken({ iat: now - 3600, exp: now - 600 });
+
+  await assert.rejects(auth.verifyToken(token), { status: 401, message: 'Token expired' });
+});
+
+test('rejects a token from an unauthorized party', async () => {
+  const token = signToken({ azp: 'https://evil.example.com' });
+
+  await assert.rejects(auth.verifyToken(token), { status: 401, message: 'Invalid token origin' });
+});
+
+test('rejects a managerId that is not the signed-in manager', async () => {
+  const fromQuery = await runGuard(signToken(), { query: { managerId: '2' } });
+  assert.strictEqual(fromQuery.status, 403);
+
+  const fromBody = await runGuard(signToken(), { method: 'POST', body: { manager_id: 2 } });
+  assert.strictEqual(fromBody.status, 403);
+});
+
+test('rejects a store the manager is not linked to', async () => {
+  const denied = await runGuard(signToken(), { query: { storeId: '2' } });
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual(denied.message, 'Access denied to this store');
+
+  const allowed = await runGuard(signToken(), { query: { storeId: '1' } });
+  assert.strictEqual(allowed.status, 'next');
+});